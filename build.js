@@ -1,48 +1,133 @@
 /**
- * build.js (dispatcher)
+ * build.js
  * Usage:
  *   node build.js "docx/presidential-summary/2026/feb/feb-5.docx"
+ *   node build.js --strict "docx/..."   (fail on warnings, write nothing)
+ *   node build.js --minify "docx/..."   (minified HTML, see lib/size.js)
+ *   node build.js "docx/london-summary/2026/feb/feb-13.md"   (Markdown draft)
+ *   node build.js "dist/london-summary/2026/feb/feb-13.json" (edition JSON)
+ *   node build.js docx/london-summary/2026/feb               (every edition inside)
+ *   node build.js "docx/*-summary/2026/feb/feb-1?.docx"      (glob)
+ *   node build.js --all                                      (the whole docx/ tree)
+ *   node build.js --all --jobs 4                             (4 worker threads)
+ *   node build.js --watch docx/london-summary/2026/feb       (rebuild on save, lib/watch.js)
+ *
+ * Every newsletter is described by mjml-template/<newsletter>/config.json
+ * and built by the same generic builder (lib/builder.js).
+ *
+ * Several editions (folders, globs, several files, --all; lib/batch.js) end
+ * with a summary table. They are built on worker threads (lib/pool.js), one
+ * per CPU unless --jobs says otherwise (--jobs 1: one after the other), with
+ * each edition's log printed in one block. The exit code is 1 when any
+ * edition failed.
  */
 
 import path from "path";
-import { spawnSync } from "child_process";
+import {
+  builderFor,
+  buildSource,
+  findSources,
+  isBatchInput,
+  summaryCounts,
+  summaryTable,
+} from "./lib/batch.js";
+import { listNewsletters } from "./lib/config.js";
+import { buildInWorkers, defaultJobs } from "./lib/pool.js";
+import { watchBuilds } from "./lib/watch.js";
 
-const DOCX_PATH = process.argv[2];
-if (!DOCX_PATH) {
-  console.error('Usage: node build.js "docx/<newsletter>/YYYY/mon/file.docx"');
-  process.exit(1);
-}
-
-// Normalize to forward parsing, still safe on Windows/macOS/Linux
-const normalized = DOCX_PATH.split(path.sep).join("/");
-
-// Very simple parse: docx/<newsletter>/...
-const parts = normalized.split("/");
-const newsletter = parts[1];
-
-const builders = {
-  "presidential-summary": "build-presidential-summary.js",
-  // later:
-  "geopolitical-summary": "build-geopolitical-summary.js",
-  "dubai-summary": "build-dubai-summary.js",
-  "london-summary": "build-london-summary.js",
-  "singapore-summary": "build-singapore-summary.js",
-  "saudi-summary": "build-saudi-summary.js",
-};
-
-const builder = builders[newsletter];
-if (!builder) {
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+// Only when given: config "size.minify" applies otherwise
+const minify = args.includes("--minify") || undefined;
+const all = args.includes("--all");
+const watch = args.includes("--watch");
+const jobsIdx = args.indexOf("--jobs");
+const jobs = jobsIdx === -1 ? defaultJobs() : Number(args[jobsIdx + 1]);
+const inputs = args.filter(
+  (arg, idx) =>
+    !arg.startsWith("--") && (jobsIdx === -1 || idx !== jobsIdx + 1),
+);
+if ((!inputs.length && !all) || !(jobs >= 1)) {
   console.error(
-    `No builder found for "${newsletter}". Expected one of: ${Object.keys(builders).join(", ")}`,
+    'Usage: node build.js [--strict] [--minify] "docx/<newsletter>/YYYY/mon/file.docx"\n' +
+      '       node build.js [--strict] [--minify] "dist/<newsletter>/YYYY/mon/file.json"\n' +
+      "       node build.js [--strict] [--minify] [--jobs <n>] [--watch] <folder | glob | file...> | --all",
   );
   process.exit(1);
 }
 
-const builderPath = path.join(process.cwd(), builder);
+if (watch) {
+  watchBuilds(inputs, { all, jobs, options: { strict, minify } });
+} else if (all || inputs.length > 1 || isBatchInput(inputs[0])) {
+  buildBatch().catch((e) => {
+    console.error("❌ Batch build failed:", e);
+    process.exit(1);
+  });
+} else {
+  buildOne(inputs[0]);
+}
 
-// Run: node <builder> "<docx_path>"
-const res = spawnSync(process.execPath, [builderPath, DOCX_PATH], {
-  stdio: "inherit",
-});
+function buildOne(DOCX_PATH) {
+  // Normalize to forward parsing, still safe on Windows/macOS/Linux
+  const normalized = DOCX_PATH.split(path.sep).join("/");
 
-process.exit(res.status ?? 1);
+  // Very simple parse: docx/<newsletter>/... (or dist/<newsletter>/...)
+  const parts = normalized.split("/");
+  const newsletter = parts[1];
+
+  const newsletters = listNewsletters();
+  if (!newsletters.includes(newsletter)) {
+    console.error(
+      `No config found for "${newsletter}". Expected one of: ${newsletters.join(", ")}`,
+    );
+    process.exit(1);
+  }
+
+  builderFor(DOCX_PATH)(DOCX_PATH, { strict, minify }).catch((e) => {
+    console.error("❌ Build failed:", e.problems ? e.message : e);
+    process.exit(1);
+  });
+}
+
+async function buildBatch() {
+  const sources = findSources(inputs, { all });
+  if (!sources.length) {
+    console.error(
+      `❌ No .docx or .md found in: ${all ? "docx/" : inputs.join(", ")}`,
+    );
+    process.exit(1);
+  }
+
+  const pending = sources.filter((s) => !s.skipped);
+  const options = { strict, minify };
+  const header = (entry) =>
+    console.log(
+      `\n📄 [${sources.indexOf(entry) + 1}/${sources.length}] ${entry.source}`,
+    );
+
+  let built;
+  const workers = Math.min(jobs, pending.length);
+  if (workers > 1) {
+    console.log(`🧵 ${pending.length} edition(s) on ${workers} worker threads`);
+    built = await buildInWorkers(
+      pending.map((entry) => entry.source),
+      { jobs: workers, options, onStart: (idx) => header(pending[idx]) },
+    );
+  } else {
+    built = [];
+    for (const entry of pending) {
+      header(entry);
+      built.push(await buildSource(entry.source, options));
+    }
+  }
+
+  const results = sources.map((entry) =>
+    entry.skipped
+      ? { source: entry.source, status: "skipped", output: entry.skipped }
+      : built[pending.indexOf(entry)],
+  );
+  const failed = results.some((r) => r.status === "failed");
+  console.log(`\n📋 Summary\n${summaryTable(results)}`);
+  console.log(`${failed ? "❌" : "✅"} ${summaryCounts(results)}`);
+  if (failed) process.exit(1);
+}
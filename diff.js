@@ -0,0 +1,101 @@
+/**
+ * diff.js
+ * Usage:
+ *   node diff.js "dist/london-summary/2026/feb/feb-13.html" "/tmp/feb-13.html"
+ *   node diff.js "dist/london-summary/2026/feb/feb-13.html"   (vs git HEAD)
+ *   node diff.js --rev main "dist/london-summary/2026/feb/feb-13.mjml"
+ *
+ * Section-level changes between two builds of an edition (lib/diff.js):
+ * content from the edition JSON next to each build, then the markup
+ * (.html, or .mjml when given), whitespace-only differences ignored.
+ * With one build, it is compared with its committed version (--rev, HEAD).
+ *
+ * Exit codes (like diff):
+ *   0 -> no changes
+ *   1 -> changes
+ *   2 -> the builds could not be read
+ */
+
+import { loadNewsletterConfig } from "./lib/config.js";
+import { diffEditions, diffMarkup, excerpt, readBuild } from "./lib/diff.js";
+
+const MAX_HUNKS = 20;
+const MAX_TOKENS = 3; // per side of a markup change
+
+const args = process.argv.slice(2);
+const revIdx = args.indexOf("--rev");
+const rev = revIdx === -1 ? "HEAD" : args[revIdx + 1];
+const files = args.filter(
+  (arg, idx) => !arg.startsWith("--") && (revIdx === -1 || idx !== revIdx + 1),
+);
+
+if (!rev || !files.length || files.length > 2) {
+  console.error(
+    'Usage: node diff.js "dist/<newsletter>/YYYY/mon/file.html" [other build]\n' +
+      '       node diff.js [--rev <git rev>] "dist/<newsletter>/YYYY/mon/file.html"',
+  );
+  process.exit(2);
+}
+
+try {
+  const [before, after] =
+    files.length === 2
+      ? [readBuild(files[0]), readBuild(files[1])]
+      : [readBuild(files[0], { rev }), readBuild(files[0])];
+
+  process.exit(report(before, after) ? 1 : 0);
+} catch (e) {
+  console.error("❌ Diff failed:", e.message);
+  process.exit(2);
+}
+
+// Prints the changes, returns true when there are any
+function report(before, after) {
+  console.log(`🔎 ${before.label} -> ${after.label}`);
+
+  let changed = false;
+  const newsletter = after.edition?.newsletter || before.edition?.newsletter;
+
+  if (before.edition && after.edition && newsletter) {
+    const changes = diffEditions(
+      before.edition,
+      after.edition,
+      loadNewsletterConfig(newsletter),
+    );
+    if (changes.length) {
+      changed = true;
+      console.log("📝 Content:");
+      for (const change of changes) console.log(`   - ${change}`);
+    }
+  } else {
+    console.warn("⚠️ No edition JSON next to both builds, markup only");
+  }
+
+  const hunks = diffMarkup(before.markup, after.markup);
+  if (hunks.length) {
+    changed = true;
+    console.log(`🧩 Markup (${after.format.slice(1)}, whitespace ignored):`);
+    for (const hunk of hunks.slice(0, MAX_HUNKS)) {
+      console.log(
+        `   - ${hunk.near ? `near "${excerpt(hunk.near)}"` : "at the top"}`,
+      );
+      printTokens("-", hunk.removed);
+      printTokens("+", hunk.added);
+    }
+    if (hunks.length > MAX_HUNKS) {
+      console.log(`   ... ${hunks.length - MAX_HUNKS} more changes`);
+    }
+  }
+
+  if (!changed) console.log("✅ No changes (whitespace ignored)");
+  return changed;
+}
+
+function printTokens(sign, tokens) {
+  for (const token of tokens.slice(0, MAX_TOKENS)) {
+    console.log(`       ${sign} ${excerpt(token)}`);
+  }
+  if (tokens.length > MAX_TOKENS) {
+    console.log(`       ${sign} ... ${tokens.length - MAX_TOKENS} more`);
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * lib/accessibility.js
+ * --------------------
+ * Accessibility fixes + report for every built edition (builder).
+ *
+ * Fixes:
+ *   - <mjml lang>: config "lang" (default "en"); MJML writes lang="und" otherwise
+ *   - <mj-title>: subject line (variant A), else the preview text, else the
+ *     newsletter name
+ *   - role="presentation" on every <table> without a role (all layout tables)
+ *
+ * Report (one message per problem; `--strict` builds fail on any of them):
+ *   - images without real alt text: missing, REPLACE_ME / file names, or
+ *     alt="" on a linked image (alt="" is fine on decorative ones)
+ *   - heading levels that skip (h2 -> h4): sections are h2, stories h3
+ *   - text / background contrast below WCAG AA: 4.5:1, 3:1 for large text
+ *     (24px, or 18.66px bold); brand colours are checked wherever they are
+ *     used as a text colour
+ */
+
+import * as cheerio from "cheerio";
+import path from "path";
+import { cleanText, escapeHtml } from "./text.js";
+
+const DEFAULT_LANG = "en";
+const PREVIEW_TEXT_ID = "preview-text";
+const SUBJECT_LINE_ID = "subject-line";
+
+const PLACEHOLDER_ALT =
+  /REPLACE_ME|^(?:image|img|photo|picture)\s*\d*$|\.(?:jpe?g|png|gif|webp|svg)$/i;
+const HEADINGS = "h1, h2, h3, h4, h5, h6";
+const SKIPPED = "head, style, script, title";
+
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE = 3;
+const WHITE = { rgb: [255, 255, 255], alpha: 1 };
+const BLACK = { rgb: [0, 0, 0], alpha: 1 };
+const NAMED_COLORS = {
+  white: "#ffffff",
+  black: "#000000",
+  grey: "#808080",
+  gray: "#808080",
+  lightgrey: "#d3d3d3",
+  lightgray: "#d3d3d3",
+  red: "#ff0000",
+};
+
+/** -----------------------------
+ * Fixes
+ * ----------------------------- */
+
+// lang + title, on the MJML (kept when the layout already sets them)
+export function fixMjml(mjml, config, edition) {
+  let out = mjml;
+
+  if (!/<mjml\b[^>]*\blang=/i.test(out)) {
+    const lang = escapeHtml(config.lang || DEFAULT_LANG);
+    out = out.replace(/<mjml\b/i, `<mjml lang="${lang}"`);
+  }
+
+  if (!/<mj-title>\s*\S/i.test(out)) {
+    const title = escapeHtml(titleOf(config, edition));
+    out = out.replace(/<mj-title>\s*<\/mj-title>\s*/i, "");
+    out = /<mj-head>/i.test(out)
+      ? out.replace(
+          /<mj-head>/i,
+          `<mj-head>\n    <mj-title>${title}</mj-title>`,
+        )
+      : out.replace(
+          /<mjml\b[^>]*>/i,
+          (tag) => `${tag}\n  <mj-head><mj-title>${title}</mj-title></mj-head>`,
+        );
+  }
+
+  return out;
+}
+
+function titleOf(config, edition) {
+  const subject = edition.sections?.[SUBJECT_LINE_ID]?.[0];
+  const preview = edition.sections?.[PREVIEW_TEXT_ID];
+  return cleanText(
+    (typeof subject === "string" && subject) ||
+      (typeof preview === "string" && preview) ||
+      config.name,
+  );
+}
+
+// Layout tables, on the compiled HTML. Returns { html, fixed }
+export function fixHtml(html) {
+  let fixed = 0;
+  const out = html.replace(/<table\b(?![^>]*\brole=)/gi, () => {
+    fixed++;
+    return '<table role="presentation"';
+  });
+  return { html: out, fixed };
+}
+
+/** -----------------------------
+ * Report
+ * ----------------------------- */
+export function auditAccessibility(html) {
+  const $ = cheerio.load(html);
+  return [...altProblems($), ...headingProblems($), ...contrastProblems($)];
+}
+
+function altProblems($) {
+  const problems = [];
+
+  $("img").each((_, el) => {
+    const img = $(el);
+    const alt = img.attr("alt");
+    const name = path.basename(img.attr("src") || "") || "(no src)";
+
+    if (alt === undefined) {
+      problems.push(`Image without alt text: ${name}`);
+    } else if (PLACEHOLDER_ALT.test(alt.trim())) {
+      problems.push(`Placeholder alt text "${alt}": ${name}`);
+    } else if (!alt.trim() && img.closest("a").length) {
+      problems.push(`Linked image without alt text: ${name}`);
+    }
+  });
+
+  return problems;
+}
+
+function headingProblems($) {
+  const problems = [];
+  let previous = 1; // the email itself; the first heading may be an h2
+
+  $(HEADINGS).each((_, el) => {
+    if (isHidden($, el)) return;
+    const level = Number(el.tagName.slice(1));
+    if (level > previous + 1) {
+      const text = cleanText($(el).text()).slice(0, 60);
+      problems.push(`Heading skips from h${previous} to h${level}: "${text}"`);
+    }
+    previous = level;
+  });
+
+  return problems;
+}
+
+// One message per colour pair, with the first text that uses it
+function contrastProblems($) {
+  const seen = new Set();
+  const problems = [];
+
+  $("body")
+    .find("*")
+    .contents()
+    .each((_, node) => {
+      if (node.type !== "text" || !cleanText(node.data)) return;
+      const el = node.parent;
+      if ($(el).closest(SKIPPED).length || isHidden($, el)) return;
+
+      const bg = inherited($, el, backgroundColor) || WHITE;
+      if (bg === "image") return; // text over a background image
+      const fg = inherited($, el, textColor) || BLACK;
+      const [fgHex, bgHex] = [toHex(blend(fg, bg)), toHex(bg.rgb)];
+
+      const required = isLargeText($, el) ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+      const ratio = contrastRatio(blend(fg, bg), bg.rgb);
+      const key = `${fgHex} ${bgHex} ${required}`;
+      if (ratio >= required || seen.has(key)) return;
+
+      seen.add(key);
+      const sample = cleanText(node.data).slice(0, 40);
+      problems.push(
+        `Low contrast ${ratio.toFixed(2)}:1 (needs ${required}:1): ${fgHex} on ${bgHex}, e.g. "${sample}"`,
+      );
+    });
+
+  return problems;
+}
+
+/** -----------------------------
+ * Styles (inline only: that is all email clients keep)
+ * ----------------------------- */
+function styleOf($, el, prop) {
+  const style = $(el).attr("style") || "";
+  const re = new RegExp(`(?:^|[;\\s])${prop}\\s*:\\s*([^;]+)`, "i");
+  return re
+    .exec(style)?.[1]
+    .replace(/!important/i, "")
+    .trim();
+}
+
+// First value found on the element or its ancestors
+function inherited($, el, read) {
+  for (let cur = el; cur && cur.type === "tag"; cur = cur.parent) {
+    const value = read($, cur);
+    if (value) return value;
+  }
+  return null;
+}
+
+function isHidden($, el) {
+  return Boolean(
+    inherited($, el, (_, cur) =>
+      /^none$/i.test(styleOf($, cur, "display") || "") ? "hidden" : null,
+    ),
+  );
+}
+
+function textColor($, el) {
+  return parseColor(styleOf($, el, "color") || $(el).attr("color") || "");
+}
+
+// "image" when a background image sits behind the text
+function backgroundColor($, el) {
+  const background = styleOf($, el, "background") || "";
+  if (/url\(/i.test(background) || $(el).attr("background")) return "image";
+  if (/url\(/i.test(styleOf($, el, "background-image") || "")) return "image";
+
+  const color = parseColor(
+    styleOf($, el, "background-color") ||
+      $(el).attr("bgcolor") ||
+      background.split(/\s+/).find((part) => parseColor(part)) ||
+      "",
+  );
+  // see-through backgrounds: keep looking further up
+  return color?.alpha === 1 ? color : null;
+}
+
+function isLargeText($, el) {
+  const size = parseFloat(
+    inherited($, el, (_, cur) => styleOf($, cur, "font-size")),
+  );
+  const weight = inherited($, el, (_, cur) => {
+    const value = styleOf($, cur, "font-weight");
+    if (value) return /bold/i.test(value) ? 700 : Number(value) || 400;
+    return /^(?:strong|b|h[1-6])$/i.test(cur.tagName) ? 700 : null;
+  });
+
+  return size >= 24 || (size >= 18.66 && weight >= 700);
+}
+
+/** -----------------------------
+ * Colours
+ * ----------------------------- */
+
+// "#abc" / "#aabbcc" / "rgb(1, 2, 3)" / "white" -> { rgb: [r, g, b], alpha }
+// (null when unknown)
+function parseColor(value) {
+  const v = value.trim().toLowerCase();
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(
+    NAMED_COLORS[v] || v,
+  )?.[1];
+
+  if (hex) {
+    const full = hex.length <= 4 ? [...hex].map((c) => c + c).join("") : hex;
+    const [r, g, b, a = 255] = full.match(/../g).map((h) => parseInt(h, 16));
+    return { rgb: [r, g, b], alpha: a / 255 };
+  }
+
+  const rgb =
+    /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(
+      v,
+    );
+  if (!rgb) return null;
+  return {
+    rgb: rgb.slice(1, 4).map((n) => Math.min(255, Number(n))),
+    alpha: rgb[4] === undefined ? 1 : Number(rgb[4]),
+  };
+}
+
+// See-through text is blended over its background
+function blend(fg, bg) {
+  return fg.rgb.map((c, i) =>
+    Math.round(c * fg.alpha + bg.rgb[i] * (1 - fg.alpha)),
+  );
+}
+
+function toHex(rgb) {
+  return `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+// WCAG 2 contrast ratio of two [r, g, b], 1 (same) to 21 (black on white)
+export function contrastRatio(a, b) {
+  const [l1, l2] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (l1 + 0.05) / (l2 + 0.05);
+}
+
+function luminance(rgb) {
+  const [r, g, b] = rgb.map((n) => {
+    const c = n / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
@@ -0,0 +1,345 @@
+/**
+ * lib/ads.js
+ * ----------
+ * Ad inventory: which creative fills each ad slot of an edition.
+ *
+ * Bookings live in ads/bookings.json and/or ads/bookings.csv (same columns,
+ * header row required). One row per sold placement:
+ *
+ * {
+ *   "newsletter": "dubai-summary",
+ *   "date": "2026-02-05",                  // edition date (docx/<nl>/2026/feb/feb-5.docx)
+ *   "slot": "primary",                     // optional, default "primary"
+ *   "label": "Brand in residence: Washmen", // optional kicker above the headline
+ *   "headline": "Laundry, dry cleaning, shoe & bag restoration",
+ *   "body": "First paragraph\n\nSecond paragraph",
+ *   "image": "washmen.jpg",                // <assetBaseUrl>/ad/<image>, or a full URL
+ *   "alt": "Washmen laundry service",
+ *   "ctaText": "Download the app",
+ *   "ctaUrl": "https://www.washmen.com/",   // destination (tracked, see lib/links.js)
+ *   "creative": "d5-1"                     // optional id used in the link slug
+ * }
+ *
+ * Slots (each filled independently):
+ *   - story-cards "ad" option        -> after card #1 ("adSlot", default "primary")
+ *   - {{%AD_SLOT:<name>%}} in layout.mjml
+ *   - config.json "adSlots": { "<name>": { "before" | "after": "<section id>" } }
+ *
+ * "adSlots" also holds per-slot options for the layout placeholders:
+ *   { "template": "ad.mjml", "fallback": "house" | "none" }
+ * Unsold slots show the newsletter's "houseAd" (config.json, same fields minus
+ * newsletter/date/slot; "ctaUrl" defaults to "siteUrl") when "fallback" is
+ * "house" — the default for "primary" only. Otherwise they collapse to nothing.
+ *
+ * Ad partials (e.g. ad.mjml) use:
+ *   {{%AD_URL%}} {{%AD_LABEL%}} {{%AD_HEADLINE%}} {{%AD_IMAGE%}} {{%AD_ALT%}}
+ *   {{%AD_BODY%}} {{%AD_CTA_TEXT%}}
+ *   {{%IF AD_LABEL%}} ... {{%END AD_LABEL%}}  -> kept only when the field is set
+ * AD_BODY inside a <p> repeats that <p> once per body paragraph.
+ */
+
+import fs from "fs";
+import path from "path";
+import { placeholderImage, readTemplate } from "./sections/shared.js";
+import { trackedUrl } from "./links.js";
+import { escapeHtml } from "./text.js";
+import { tagUrl } from "./utm.js";
+
+const ADS_DIR = "ads";
+const DEFAULT_SLOT = "primary";
+const DEFAULT_TEMPLATE = "ad.mjml";
+export const TOKEN_AD_SLOT = /\{\{\%\s*AD_SLOT:([\w-]+)\s*\%\}\}/g;
+const FIELDS = [
+  "label",
+  "headline",
+  "body",
+  "image",
+  "alt",
+  "ctaText",
+  "ctaUrl",
+  "creative",
+];
+
+/** -----------------------------
+ * Load bookings
+ * ----------------------------- */
+export function loadAdBookings({ root = process.cwd() } = {}) {
+  const dir = path.join(root, ADS_DIR);
+  const bookings = [];
+
+  const jsonPath = path.join(dir, "bookings.json");
+  if (fs.existsSync(jsonPath)) {
+    let rows;
+    try {
+      rows = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    } catch (e) {
+      throw new Error(`Invalid JSON in ${jsonPath}: ${e.message}`);
+    }
+    if (!Array.isArray(rows)) {
+      throw new Error(`${jsonPath}: expected an array of bookings`);
+    }
+    bookings.push(...rows.map((row, idx) => checkBooking(row, jsonPath, idx)));
+  }
+
+  const csvPath = path.join(dir, "bookings.csv");
+  if (fs.existsSync(csvPath)) {
+    const rows = parseCsv(fs.readFileSync(csvPath, "utf8"));
+    bookings.push(...rows.map((row, idx) => checkBooking(row, csvPath, idx)));
+  }
+
+  return bookings;
+}
+
+function checkBooking(row, file, idx) {
+  for (const field of ["newsletter", "date"]) {
+    if (!row?.[field]) {
+      throw new Error(`${file}: booking #${idx + 1} missing "${field}"`);
+    }
+  }
+  return { ...row, slot: row.slot || DEFAULT_SLOT };
+}
+
+/**
+ * Minimal CSV: header row, comma separated, "double quoted" fields may hold
+ * commas, line breaks and "" escapes. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter((r) => r.some((cell) => cell.trim()));
+  const [header, ...body] = rows;
+  if (!header) return [];
+
+  const keys = header.map((h) => h.trim());
+  return body.map((r) =>
+    Object.fromEntries(keys.map((key, i) => [key, (r[i] || "").trim()])),
+  );
+}
+
+/** -----------------------------
+ * Slots: { <name>: { template, fallback, before, after } }
+ * ----------------------------- */
+export function adSlotsOf(config) {
+  const slots = {};
+  const declare = (name, options = {}) => {
+    slots[name] = {
+      template: DEFAULT_TEMPLATE,
+      fallback: name === DEFAULT_SLOT ? "house" : "none",
+      ...slots[name],
+      ...options,
+    };
+  };
+
+  for (const section of config.sections) {
+    if (section.ad) {
+      declare(section.adSlot || DEFAULT_SLOT, { template: section.ad });
+    }
+  }
+  for (const [name, options] of Object.entries(config.adSlots || {})) {
+    declare(name, options);
+  }
+  if (config.layoutPath && fs.existsSync(config.layoutPath)) {
+    const layout = fs.readFileSync(config.layoutPath, "utf8");
+    for (const [, name] of layout.matchAll(TOKEN_AD_SLOT)) declare(name);
+  }
+
+  return slots;
+}
+
+/** -----------------------------
+ * Pick: { <slot>: creative } for every declared slot that has one
+ * - bookings of this edition for an undeclared slot, a second booking for
+ *   the same slot and (with "newsletters", the known slugs) bookings of this
+ *   date for an unknown newsletter are reported in "problems", never dropped
+ *   silently
+ * ----------------------------- */
+export function pickAds({
+  bookings = [],
+  config,
+  date,
+  newsletters,
+  problems = [],
+}) {
+  const ads = {};
+  const slots = adSlotsOf(config);
+  const warn = (problem) => {
+    console.warn(`⚠️ ${problem}`);
+    problems.push(problem);
+  };
+
+  const ours = bookings.filter(
+    (b) => b.newsletter === config.slug && b.date === date,
+  );
+
+  for (const [slot, { fallback }] of Object.entries(slots)) {
+    const [booked, ...extra] = ours.filter((b) => b.slot === slot);
+
+    if (booked) {
+      ads[slot] = creativeFrom(booked, { slot, house: false });
+      console.log(`📣 Ad ${slot}: ${booked.headline || "(no headline)"}`);
+      for (const b of extra) {
+        warn(
+          `Ad ${slot}: booked more than once, "${b.headline || "(no headline)"}" dropped for "${booked.headline || "(no headline)"}"`,
+        );
+      }
+    } else if (fallback === "house" && config.houseAd) {
+      ads[slot] = creativeFrom(config.houseAd, { slot, house: true });
+      console.log(`📣 Ad ${slot}: house ad (unsold)`);
+    } else if (fallback === "house") {
+      warn(`Ad ${slot}: unsold and no "houseAd" configured`);
+    } else {
+      console.log(`📣 Ad ${slot}: unsold, slot collapsed`);
+    }
+  }
+
+  for (const b of ours) {
+    if (!slots[b.slot]) {
+      warn(
+        `Ad booking "${b.headline || "(no headline)"}": slot "${b.slot}" is not declared for ${config.slug} (expected one of: ${Object.keys(slots).join(", ") || "none"})`,
+      );
+    }
+  }
+
+  if (newsletters) {
+    for (const b of bookings) {
+      if (b.date === date && !newsletters.includes(b.newsletter)) {
+        warn(
+          `Ad booking "${b.headline || "(no headline)"}": unknown newsletter "${b.newsletter}" (expected one of: ${newsletters.join(", ")})`,
+        );
+      }
+    }
+  }
+
+  return ads;
+}
+
+function creativeFrom(source, extra) {
+  const creative = { ...extra };
+  for (const field of FIELDS) creative[field] = String(source[field] || "");
+  return creative;
+}
+
+/** -----------------------------
+ * Render a creative through an ad partial
+ * ----------------------------- */
+export function renderAd(creative, templateName, ctx) {
+  if (!creative) return "";
+
+  const values = {
+    AD_URL: adUrl(creative, ctx),
+    AD_LABEL: creative.label,
+    AD_HEADLINE: creative.headline,
+    AD_IMAGE: adImageUrl(creative.image, ctx),
+    AD_ALT: creative.alt || creative.headline,
+    AD_CTA_TEXT: creative.ctaText,
+  };
+  const paragraphs = creative.body
+    .split(/\n\s*\n/)
+    .map((p) => escapeHtml(p.replace(/\s+/g, " ").trim()))
+    .filter(Boolean);
+
+  let out = readTemplate(ctx.config, templateName);
+
+  // {{%IF NAME%}} ... {{%END NAME%}}
+  out = out.replace(
+    /[ \t]*\{\{\%\s*IF\s+(\w+)\s*\%\}\}[ \t]*\n?([\s\S]*?)[ \t]*\{\{\%\s*END\s+\1\s*\%\}\}[ \t]*\n?/g,
+    (_, name, inner) =>
+      (name === "AD_BODY" ? paragraphs.length : values[name]) ? inner : "",
+  );
+
+  // <p style="...">{{%AD_BODY%}}</p> -> one <p> per paragraph
+  out = out.replace(
+    /^([ \t]*)(<p\b[^>]*>)\s*\{\{\%\s*AD_BODY\s*\%\}\}\s*<\/p>/gm,
+    (_, indent, open) =>
+      paragraphs.map((p) => `${indent}${open}${p}</p>`).join("\n"),
+  );
+  out = out.replace(/\{\{\%\s*AD_BODY\s*\%\}\}/g, () =>
+    paragraphs.join("<br /><br />"),
+  );
+
+  for (const [name, value] of Object.entries(values)) {
+    const token = new RegExp(`\\{\\{\\%\\s*${name}\\s*\\%\\}\\}`, "g");
+    out = out.replace(token, () => escapeHtml(value || ""));
+  }
+
+  return out.trim();
+}
+
+/** -----------------------------
+ * Layout + config placements
+ * - {{%AD_SLOT:<name>%}} lines are replaced (or removed when the slot is empty)
+ * ----------------------------- */
+export function renderAdSlot(ads, name, ctx, slots = adSlotsOf(ctx.config)) {
+  const slot = slots[name];
+  return slot ? renderAd(ads?.[name], slot.template, ctx) : "";
+}
+
+export function fillAdSlots(mjml, ads, ctx) {
+  const slots = adSlotsOf(ctx.config);
+  return mjml
+    .replace(
+      /^([ \t]*)\{\{\%\s*AD_SLOT:([\w-]+)\s*\%\}\}[ \t]*\n?/gm,
+      (line, indent, name) => {
+        const out = renderAdSlot(ads, name, ctx, slots);
+        return out ? `${indent}${out}\n` : "";
+      },
+    )
+    .replace(TOKEN_AD_SLOT, (_, name) => renderAdSlot(ads, name, ctx, slots));
+}
+
+// CTA destination, UTM-tagged then tracked (same link in HTML and text)
+export function adUrl(creative, ctx) {
+  return trackedUrl(
+    ctx,
+    tagUrl(creative.ctaUrl || ctx.config.siteUrl, ctx, `ad-${creative.slot}`),
+    adPlacement(creative),
+  );
+}
+
+// primary + "x-4" -> "p-ad-x-4" (house ads: "p-ad-house")
+function adPlacement(creative) {
+  const id = creative.creative || (creative.house ? "house" : "1");
+  return `${creative.slot.charAt(0)}-ad-${id}`;
+}
+
+function adImageUrl(image, ctx) {
+  if (!image) return placeholderImage(ctx, "ad");
+  if (/^https?:\/\//i.test(image)) return image;
+  return `${ctx.config.assetBaseUrl}/ad/${image.replace(/^\/+/, "")}`;
+}
@@ -0,0 +1,206 @@
+/**
+ * lib/batch.js
+ * ------------
+ * Several editions in one build.js run:
+ *   node build.js docx/london-summary/2026/feb              (every source inside)
+ *   node build.js "docx/*-summary/2026/feb/feb-1?.docx"     (glob: * ? **)
+ *   node build.js --all                                     (the whole docx/ tree)
+ *
+ * Sources are .docx files and .md drafts (edition .json files when named
+ * one by one). Skipped, with the reason in the summary:
+ *   - Word lock files (~$feb-13.docx)
+ *   - a .md draft next to a .docx of the same name (the DOCX wins)
+ *   - newsletters without a config.json
+ */
+
+import fs from "fs";
+import path from "path";
+import { buildFromDocx, buildFromEditionJson } from "./builder.js";
+import { listNewsletters } from "./config.js";
+
+export const SOURCE_DIR = "docx";
+export const SOURCE_EXTS = [".docx", ".md"];
+const GLOB_CHARS = /[*?]/;
+
+/** -----------------------------
+ * Sources
+ * ----------------------------- */
+
+// Folder or glob (a plain file name is a single build)
+export function isBatchInput(input, { root = process.cwd() } = {}) {
+  return GLOB_CHARS.test(input) || isDirectory(path.resolve(root, input));
+}
+
+/**
+ * inputs: files, folders and globs (relative to root)
+ * Returns [{ source, skipped }] in name order (feb-9 before feb-10),
+ * skipped = reason or ""
+ */
+export function findSources(
+  inputs,
+  { root = process.cwd(), all = false } = {},
+) {
+  const files = new Set();
+
+  for (const input of all ? [SOURCE_DIR] : inputs) {
+    const abs = path.resolve(root, input);
+
+    if (GLOB_CHARS.test(input) || isDirectory(abs)) {
+      const found = isDirectory(abs)
+        ? walk(abs).map((f) => path.relative(root, f))
+        : globFiles(input, root);
+      for (const file of found) {
+        if (SOURCE_EXTS.includes(extOf(file))) files.add(toPosix(file));
+      }
+    } else {
+      files.add(toPosix(path.relative(root, abs))); // named: built as given
+    }
+  }
+
+  const newsletters = listNewsletters({ root });
+  const byName = (a, b) => a.localeCompare(b, "en", { numeric: true });
+  return [...files].sort(byName).map((source) => ({
+    source,
+    skipped: skipReason(source, files, newsletters),
+  }));
+}
+
+function skipReason(source, files, newsletters) {
+  const name = path.posix.basename(source);
+  const newsletter = source.split("/")[1];
+
+  if (name.startsWith("~$")) return "Word lock file";
+  if (extOf(source) === ".md") {
+    const docx = source.replace(/\.md$/i, ".docx");
+    if (files.has(docx)) return `${path.posix.basename(docx)} wins`;
+  }
+  if (!newsletters.includes(newsletter)) {
+    return `no config for "${newsletter}"`;
+  }
+  return "";
+}
+
+// * = any characters but "/", ? = one of them, ** = any folders
+function globFiles(pattern, root) {
+  const posix = toPosix(pattern);
+  const parts = posix.split("/");
+  const firstGlob = parts.findIndex((part) => GLOB_CHARS.test(part));
+  const base = parts.slice(0, firstGlob).join("/") || ".";
+
+  const source = parts
+    .map((part) =>
+      part === "**"
+        ? "(?:.*/)?"
+        : `${part
+            .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+            .replace(/\*/g, "[^/]*")
+            .replace(/\?/g, "[^/]")}/`,
+    )
+    .join("")
+    .replace(/\/$/, "");
+  const re = new RegExp(`^${source}$`);
+
+  const dir = path.resolve(root, base);
+  if (!isDirectory(dir)) return [];
+  return walk(dir)
+    .map((f) => toPosix(path.relative(root, f)))
+    .filter((f) => re.test(f) || re.test(`./${f}`));
+}
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(full) : [full];
+  });
+}
+
+function isDirectory(p) {
+  return fs.existsSync(p) && fs.statSync(p).isDirectory();
+}
+
+function extOf(file) {
+  return path.extname(file).toLowerCase();
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
+
+/** -----------------------------
+ * Build
+ * ----------------------------- */
+
+/**
+ * One source -> summary row { source, status: "built" | "failed", warnings,
+ * output }; failures are logged, never thrown (the batch goes on)
+ */
+export async function buildSource(source, { strict, minify } = {}) {
+  try {
+    const out = await builderFor(source)(source, { strict, minify });
+    return {
+      source,
+      status: "built",
+      warnings: out.problems.length,
+      output: path.relative(process.cwd(), out.outHtmlPath),
+    };
+  } catch (e) {
+    console.error("❌ Build failed:", e.problems ? e.message : e);
+    return {
+      source,
+      status: "failed",
+      output: String(e.message || e).split("\n")[0],
+    };
+  }
+}
+
+export function builderFor(source) {
+  return source.toLowerCase().endsWith(".json")
+    ? buildFromEditionJson
+    : buildFromDocx;
+}
+
+/** -----------------------------
+ * Summary
+ * ----------------------------- */
+
+/**
+ * results: [{ source, status: "built" | "skipped" | "failed", warnings,
+ *             output (output path, or the reason) }]
+ */
+export function summaryTable(results) {
+  const rows = [
+    ["Status", "Source", "Warnings", "Output"],
+    ...results.map((r) => [
+      r.status,
+      r.source,
+      r.status === "built" ? String(r.warnings) : "-",
+      r.output,
+    ]),
+  ];
+  const widths = [0, 1, 2].map((col) =>
+    Math.max(...rows.map((row) => row[col].length)),
+  );
+
+  return rows
+    .map((row) =>
+      [
+        row[0].padEnd(widths[0]),
+        row[1].padEnd(widths[1]),
+        row[2].padStart(widths[2]),
+        row[3],
+      ].join("  "),
+    )
+    .join("\n");
+}
+
+// "12 built, 1 skipped, 1 failed" (empty counts left out)
+export function summaryCounts(results) {
+  return ["built", "skipped", "failed"]
+    .map((status) => [
+      status,
+      results.filter((r) => r.status === status).length,
+    ])
+    .filter(([, count]) => count)
+    .map(([status, count]) => `${count} ${status}`)
+    .join(", ");
+}
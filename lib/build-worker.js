@@ -0,0 +1,22 @@
+/**
+ * lib/build-worker.js
+ * -------------------
+ * Worker thread of a parallel batch build (lib/pool.js). Builds one source
+ * per message and sends back its summary row with the console output it
+ * produced, so the main thread prints every edition's log as one block.
+ */
+
+import { format } from "util";
+import { parentPort } from "worker_threads";
+import { buildSource } from "./batch.js";
+
+let logs = [];
+for (const method of ["log", "info", "warn", "error"]) {
+  console[method] = (...args) => logs.push([method, format(...args)]);
+}
+
+parentPort.on("message", async ({ source, options }) => {
+  logs = [];
+  const result = await buildSource(source, options);
+  parentPort.postMessage({ result, logs });
+});
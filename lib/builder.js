@@ -0,0 +1,554 @@
+/**
+ * lib/builder.js
+ * --------------
+ * Generic newsletter builder, driven by mjml-template/<newsletter>/config.json
+ *
+ *   DOCX -> Mammoth HTML -> doc tree   (Markdown: lib/markdown.js, same HTML)
+ *        -> extractEdition (one JSON-friendly entry per configured section)
+ *        -> renderEdition  (inject every section at its {{%TOKEN%}} in layout.mjml)
+ *        -> MJML -> HTML   (lang, title, table roles: lib/accessibility.js)
+ *        -> size report    (Gmail clipping budget, optional minify: lib/size.js)
+ *        -> renderEditionText (plain-text alternative, lib/plain-text.js)
+ *
+ *   edition JSON (lib/edition.js) -> renderEdition -> ... (buildFromEditionJson)
+ *
+ * Output mirrors the input path:
+ *   docx/<newsletter>/<year>/<month>/<file>.docx (or .md)
+ *   -> dist/<newsletter>/<year>/<month>/<file>.mjml + .html + .txt
+ *   -> dist/<newsletter>/<year>/<month>/<file>.json (edition, lib/edition.js)
+ *   -> dist/<newsletter>/<year>/<month>/<file>.links.json (tracked links)
+ *   -> dist/<newsletter>/<year>/<month>/<file>.warnings.json
+ *      ({ "warnings": [...] }, every warning of this build, for preview.js)
+ *   -> dist/<newsletter>/<year>/<month>/<file>.source.html
+ *      (DOCX builds: the Mammoth HTML, marked by section, lib/source-review.js)
+ *   -> dist/<newsletter>/<year>/<month>/images/<file>-<section>-<n>.<ext>
+ *      (DOCX images, referenced as
+ *       <assetBaseUrl>/<newsletter>/<year>/<month>/images/<name>)
+ *
+ * strict: any warning (picture, ad, placeholder and section template
+ * warnings, MJML errors, lib/output-checks.js, lib/accessibility.js and
+ * lib/size.js problems) stops the build before anything is written.
+ * A failed build only rewrites an existing <file>.warnings.json, with
+ * "failed" set.
+ * minify: overrides config "size.minify" (lib/size.js)
+ */
+
+import fs from "fs";
+import mammoth from "mammoth";
+import mjml2html from "mjml";
+import path from "path";
+import { auditAccessibility, fixHtml, fixMjml } from "./accessibility.js";
+import {
+  adSlotsOf,
+  fillAdSlots,
+  loadAdBookings,
+  pickAds,
+  renderAdSlot,
+  TOKEN_AD_SLOT,
+} from "./ads.js";
+import {
+  linkStyleFor,
+  listNewsletters,
+  loadNewsletterConfig,
+} from "./config.js";
+import { markdownToHtml } from "./markdown.js";
+import { editionFromJson, editionJson } from "./edition.js";
+import { createLinkManifest } from "./links.js";
+import { findOutputProblems } from "./output-checks.js";
+import { parseDocTree } from "./doc-tree.js";
+import { createImageStore, IMAGE_DEFAULTS, optimizeImage } from "./images.js";
+import { adText, createNotes, textDocument } from "./plain-text.js";
+import { computeOutPaths, editionDate, ensureDir } from "./paths.js";
+import { SECTION_TYPES } from "./sections/index.js";
+import { reviewSource } from "./source-review.js";
+import {
+  formatKb,
+  markSection,
+  minifyHtml,
+  sizeProblems,
+  sizeReport,
+  stripHtmlSizeMarks,
+  stripSizeMarks,
+} from "./size.js";
+import { hasToken, tokenRegex } from "./text.js";
+import { tagLinks, utmContent, utmFor } from "./utm.js";
+
+/** -----------------------------
+ * Build
+ * ----------------------------- */
+export async function buildFromDocx(
+  docxPath,
+  { root = process.cwd(), outRoot = root, strict = false, minify } = {},
+) {
+  if (!fs.existsSync(docxPath)) {
+    throw new Error(`Source not found: ${docxPath}`);
+  }
+
+  const paths = computeOutPaths(docxPath, { root, outRoot });
+  const { newsletter, base, relDir, outDir } = paths;
+  const problems = []; // every warning of this build (<file>.warnings.json)
+
+  try {
+    const config = loadNewsletterConfig(newsletter, { root });
+
+    const images = createImageStore({
+      dir: path.join(outDir, "images"),
+      prefix: base,
+      baseUrl: `${config.assetBaseUrl}/${relDir}/images`,
+    });
+
+    // 1) DOCX / Markdown -> HTML (images resized + inlined as data URIs)
+    const docHtml = await sourceToHtml(docxPath, {
+      images: config.images,
+      problems,
+    });
+
+    // 2) Extract (rendered + written by writeOutputs)
+    const tree = parseDocTree(docHtml);
+    const edition = extractEdition(tree, config, {
+      images,
+      date: editionDate(paths),
+      bookings: loadAdBookings({ root }),
+      newsletters: listNewsletters({ root }),
+      problems,
+    });
+
+    // 3) Source review page (marks the tree, so after extraction)
+    const source = reviewSource(tree, config, { title: `${base} (source)` });
+
+    return writeOutputs(edition, config, paths, {
+      strict,
+      minify,
+      images,
+      source,
+      problems,
+    });
+  } catch (e) {
+    writeFailure(paths, e, problems);
+    throw e;
+  }
+}
+
+/** -----------------------------
+ * Build from an edition JSON (lib/edition.js) instead of a DOCX
+ *   dist/<newsletter>/<year>/<month>/<file>.json -> same outputs, rebuilt
+ * Images are already published, so only the email files are rewritten.
+ * ----------------------------- */
+export async function buildFromEditionJson(
+  jsonPath,
+  { root = process.cwd(), strict = false, minify } = {},
+) {
+  if (!fs.existsSync(jsonPath)) {
+    throw new Error(`Edition JSON not found: ${jsonPath}`);
+  }
+
+  const paths = computeOutPaths(jsonPath, { root });
+  const problems = [];
+
+  try {
+    const config = loadNewsletterConfig(paths.newsletter, { root });
+
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    } catch (e) {
+      throw new Error(`Invalid JSON in ${jsonPath}: ${e.message}`);
+    }
+    const edition = editionFromJson(json, config, {
+      date: editionDate(paths),
+      problems,
+    });
+
+    return writeOutputs(edition, config, paths, { strict, minify, problems });
+  } catch (e) {
+    writeFailure(paths, e, problems);
+    throw e;
+  }
+}
+
+/** -----------------------------
+ * Render + write every output of an extracted edition
+ * - problems: the warnings so far (conversion, extraction); rendering adds
+ *   its own, and all of them end up in <file>.warnings.json
+ * ----------------------------- */
+function writeOutputs(
+  edition,
+  config,
+  paths,
+  { strict, minify, images, source, problems = [] },
+) {
+  const { base, outDir, outMjmlPath, outHtmlPath } = paths;
+  const links = config.links
+    ? createLinkManifest({ ...config.links, date: edition.date })
+    : null;
+  // Rendered and compiled once (link manifest), with the size marks; the
+  // written MJML / HTML are the same output with the marks stripped
+  const markedMjml = renderEdition(edition, config, {
+    links,
+    problems,
+    sizeMarks: true,
+  });
+  const finalMjml = stripSizeMarks(markedMjml);
+  const text = renderEditionText(edition, config, { links });
+
+  // Compile MJML -> HTML
+  const compiled = mjml2html(markedMjml, {
+    validationLevel: "soft",
+    filePath: config.layoutPath,
+  });
+  const { errors } = compiled;
+  const { html: markedHtml, fixed } = fixHtml(compiled.html);
+  const fullHtml = stripHtmlSizeMarks(markedHtml);
+  const minified = minify ?? config.size?.minify ?? false;
+  const html = minified ? minifyHtml(fullHtml) : fullHtml;
+
+  if (errors?.length) {
+    console.warn("⚠️ MJML validation warnings:");
+    for (const err of errors) {
+      const message = err.formattedMessage || err.message || err;
+      console.warn("-", message);
+      problems.push(`MJML: ${message}`);
+    }
+  }
+
+  for (const problem of findOutputProblems({ mjml: finalMjml, html })) {
+    console.warn("⚠️", problem);
+    problems.push(problem);
+  }
+
+  const a11y = auditAccessibility(html);
+  console.log(
+    `♿ Accessibility: ${a11y.length} issue(s)${fixed ? `, role="presentation" added to ${fixed} table(s)` : ""}`,
+  );
+  for (const problem of a11y) {
+    console.warn("⚠️", problem);
+    problems.push(`Accessibility: ${problem}`);
+  }
+
+  const size = sizeReport(html, markedHtml, {
+    budgetKb: config.size?.budgetKb,
+    minify: minified,
+  });
+  console.log(
+    `📏 HTML size: ${formatKb(size.bytes)} of ${formatKb(size.budget)} budget (${Math.round((size.bytes / size.budget) * 100)}%)${minified ? ", minified" : ""}`,
+  );
+  for (const { id, bytes } of [
+    { id: "layout", bytes: size.layout },
+    ...size.sections,
+  ]) {
+    console.log(`   - ${id}: ${formatKb(bytes)}`);
+  }
+  for (const problem of sizeProblems(size)) {
+    console.warn("⚠️", problem);
+    problems.push(problem);
+  }
+
+  if (strict && problems.length) {
+    const error = new Error(
+      `Strict build: ${problems.length} problem(s), nothing written\n${problems.map((p) => ` - ${p}`).join("\n")}`,
+    );
+    error.problems = problems;
+    throw error;
+  }
+
+  ensureDir(outDir);
+  fs.writeFileSync(outMjmlPath, finalMjml, "utf8");
+  fs.writeFileSync(outHtmlPath, html, "utf8");
+  const outTextPath = path.join(outDir, `${base}.txt`);
+  fs.writeFileSync(outTextPath, text, "utf8");
+  const outJsonPath = path.join(outDir, `${base}.json`);
+  fs.writeFileSync(
+    outJsonPath,
+    JSON.stringify(editionJson(edition, config), null, 2) + "\n",
+    "utf8",
+  );
+  writeWarnings(paths, { warnings: problems });
+  const outSourcePath = source && path.join(outDir, `${base}.source.html`);
+  if (source) fs.writeFileSync(outSourcePath, source.html, "utf8");
+  const imagePaths = images ? images.write() : [];
+  const outLinksPath = path.join(outDir, `${base}.links.json`);
+  const linkCount = links ? links.write(outLinksPath) : 0;
+
+  console.log("✅ Built outputs:");
+  console.log(" -", outMjmlPath);
+  console.log(" -", outHtmlPath);
+  console.log(" -", outTextPath);
+  console.log(" -", outJsonPath);
+  if (source) {
+    console.log(
+      `🔎 Source review: ${source.ignored.length} ignored block(s) in`,
+      outSourcePath,
+    );
+  }
+  if (linkCount) {
+    console.log(`🔗 ${linkCount} tracked link(s) in`, outLinksPath);
+  }
+  if (imagePaths.length) {
+    console.log(`🖼️ ${imagePaths.length} image(s) in`, images.dir);
+  }
+
+  return {
+    outMjmlPath,
+    outHtmlPath,
+    outTextPath,
+    outJsonPath,
+    outSourcePath,
+    imagePaths,
+    problems,
+  };
+}
+
+// <file>.warnings.json, read by preview.js: { "warnings": [...] }, plus
+// "failed" (the reason) when the build stopped
+function writeWarnings({ base, outDir }, report) {
+  fs.writeFileSync(
+    path.join(outDir, `${base}.warnings.json`),
+    JSON.stringify(report, null, 2) + "\n",
+    "utf8",
+  );
+}
+
+// A failed build replaces the last warnings, so the preview never shows a
+// stale list (nothing to replace when the folder does not exist yet)
+function writeFailure(paths, error, problems) {
+  if (!fs.existsSync(paths.outDir)) return;
+  writeWarnings(paths, {
+    failed: String(error.message || error).split("\n")[0],
+    warnings: error.problems || problems,
+  });
+}
+
+/**
+ * Source document -> Mammoth-style HTML: .docx, or .md (lib/markdown.js)
+ * optimize: false keeps the pictures as they are (faster, e.g. validation)
+ * problems: optional array, gets the picture warnings
+ */
+export async function sourceToHtml(sourcePath, options = {}) {
+  return path.extname(sourcePath).toLowerCase() === ".md"
+    ? markdownToHtml(sourcePath, {
+        convertImage:
+          options.optimize === false
+            ? undefined
+            : inlineImage(options.images, options.problems),
+        problems: options.problems,
+      })
+    : docxToHtml(sourcePath, options);
+}
+
+export async function docxToHtml(
+  docxPath,
+  { images, optimize = true, problems } = {},
+) {
+  const buffer = fs.readFileSync(docxPath);
+  const convert = inlineImage(images, problems);
+  const { value } = await mammoth.convertToHtml(
+    { buffer },
+    optimize
+      ? {
+          convertImage: mammoth.images.inline(async (image) => ({
+            src: await convert(await image.read(), image.contentType),
+          })),
+        }
+      : {},
+  );
+  return value;
+}
+
+// Picture bytes -> optimized data URI
+function inlineImage(images, problems = []) {
+  return async (raw, contentType) => {
+    const out = await optimizeImage(raw, contentType, images);
+    if (out.problem) {
+      console.warn(`⚠️ ${out.problem}`);
+      problems.push(out.problem);
+    }
+    if (!out.skipped) logOptimizedImage(raw, out, images, problems);
+
+    const b64 = out.buffer.toString("base64");
+    return `data:${out.contentType};base64,${b64}`;
+  };
+}
+
+function logOptimizedImage(raw, out, options, problems) {
+  const { maxBytes } = { ...IMAGE_DEFAULTS, ...options };
+  const kb = (n) => `${Math.round(n / 1024)} KB`;
+  const line = `${kb(raw.length)} -> ${out.width}x${out.height} ${kb(out.bytes)}`;
+
+  if (out.bytes > maxBytes) {
+    const problem = `Image still over budget (${kb(maxBytes)}): ${line}`;
+    console.warn(`⚠️ ${problem}`);
+    problems.push(problem);
+  } else {
+    console.log(`🖼️ Image ${line}`);
+  }
+}
+
+/** -----------------------------
+ * Extract: { newsletter, date, ads: { <slot>: creative }, sections: { <id>: data } }
+ * - images:   optional image store; DOCX pictures are published through it
+ * - date:     edition date ("2026-02-13"), used to look up ad bookings
+ * - bookings: ads/bookings.* rows (lib/ads.js); unsold slots get the house ad
+ * - newsletters: optional known slugs, to report bookings for a misspelt one
+ * - problems: optional array, gets the extraction warnings
+ * ----------------------------- */
+export function extractEdition(
+  tree,
+  config,
+  { images, date = "", bookings, newsletters, problems = [] } = {},
+) {
+  const sections = {};
+
+  for (const section of config.sections) {
+    const type = SECTION_TYPES[section.type];
+    const ctx = sectionContext(config, section, { images, problems });
+    const data = type.extract(tree, section, ctx);
+    console.log(`🧩 ${section.story || section.heading}:`, type.describe(data));
+    sections[section.id] = data;
+  }
+
+  const ads = pickAds({ bookings, config, date, newsletters, problems });
+  return { newsletter: config.slug, date, ads, sections };
+}
+
+/** -----------------------------
+ * Render: layout.mjml with every section token replaced
+ * (types without render, like subject-line, have no token)
+ * - ad slots placed "before"/"after" a section wrap its output
+ * - {{%AD_SLOT:<name>%}} placeholders are filled last (empty slots vanish)
+ * - links: optional link manifest; ad + CTA urls become tracked short links
+ * - utm:   config "utm" tags links per item, then per section, then "layout"
+ * - problems: optional array, gets every rendering warning (missing
+ *   placeholders, unknown ad slot sections, section templates)
+ * - sizeMarks: wrap each placed section (not meta fields) in <!--size:<id>-->
+ *   marks, for the size report (lib/size.js)
+ * ----------------------------- */
+export function renderEdition(
+  edition,
+  config,
+  { links, problems = [], sizeMarks = false } = {},
+) {
+  let finalMjml = fs.readFileSync(config.layoutPath, "utf8");
+  const slots = adSlotsOf(config);
+  const utm = utmFor(config, edition);
+  const adCtx = { config, links, utm };
+
+  for (const [name, slot] of Object.entries(slots)) {
+    for (const id of [slot.before, slot.after].filter(Boolean)) {
+      if (!config.sections.some((section) => section.id === id)) {
+        const problem = `Ad slot "${name}" refers to unknown section "${id}"`;
+        console.warn(`⚠️ ${problem}`);
+        problems.push(problem);
+      }
+    }
+  }
+
+  const adsAt = (position, section) =>
+    Object.keys(slots)
+      .filter((name) => slots[name][position] === section.id)
+      .map((name) => renderAdSlot(edition.ads, name, adCtx, slots));
+
+  for (const section of config.sections) {
+    const type = SECTION_TYPES[section.type];
+    if (!type.render) continue; // not in the email (subject-line)
+    const token = tokenRegex(section.token);
+
+    if (!hasToken(token, finalMjml)) {
+      const problem = `Placeholder {{%${section.token}%}} not found in layout.mjml`;
+      console.warn(`⚠️ ${problem}`);
+      problems.push(problem);
+      continue;
+    }
+
+    const ctx = sectionContext(config, section, {
+      ads: edition.ads,
+      links,
+      utm,
+      problems,
+    });
+    const out = type.render(edition.sections[section.id], section, ctx);
+    const placed = [
+      ...adsAt("before", section),
+      out,
+      ...adsAt("after", section),
+    ]
+      .filter(Boolean)
+      .join("\n");
+    const tagged = tagLinks(placed, ctx, utmContent(section));
+    finalMjml = finalMjml.replace(token, () =>
+      sizeMarks && section.type !== "meta-field"
+        ? markSection(section.id, tagged)
+        : tagged,
+    );
+  }
+
+  finalMjml = fillAdSlots(finalMjml, edition.ads, adCtx);
+  return fixMjml(tagLinks(finalMjml, adCtx, "layout"), config, edition);
+}
+
+/** -----------------------------
+ * Plain text: every section's text() in layout order, ads as one-line mentions
+ * ----------------------------- */
+export function renderEditionText(edition, config, { links } = {}) {
+  const layout = fs.readFileSync(config.layoutPath, "utf8");
+  const slots = adSlotsOf(config);
+  const notes = createNotes();
+  const adCtx = { config, links, utm: utmFor(config, edition), notes };
+
+  const adsAt = (position, section) =>
+    Object.keys(slots)
+      .filter((name) => slots[name][position] === section.id)
+      .map((name) => adText(edition.ads?.[name], adCtx));
+
+  // [{ at: <offset in layout.mjml>, text }]
+  const parts = [];
+
+  for (const section of config.sections) {
+    const type = SECTION_TYPES[section.type];
+    if (!type.text) continue;
+    const token = tokenRegex(section.token);
+    if (!hasToken(token, layout)) continue;
+
+    const ctx = { ...adCtx, ads: edition.ads, utmContent: utmContent(section) };
+    const text = [
+      ...adsAt("before", section),
+      type.text(edition.sections[section.id], section, ctx),
+      ...adsAt("after", section),
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+
+    parts.push({ at: layout.search(token), text });
+  }
+
+  for (const match of layout.matchAll(TOKEN_AD_SLOT)) {
+    const name = match[1];
+    if (slots[name]) {
+      parts.push({ at: match.index, text: adText(edition.ads?.[name], adCtx) });
+    }
+  }
+
+  return textDocument({
+    config,
+    edition,
+    layout,
+    parts: parts.sort((a, b) => a.at - b.at).map((p) => p.text),
+    notes,
+  });
+}
+
+export function sectionContext(
+  config,
+  section,
+  { images, ads, links, utm, problems } = {},
+) {
+  return {
+    config,
+    linkStyle:
+      section.linkStyle || config.linkStyle || linkStyleFor(config.brandColor),
+    images,
+    ads,
+    links,
+    utm,
+    problems,
+  };
+}
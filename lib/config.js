@@ -0,0 +1,143 @@
+/**
+ * lib/config.js
+ * -------------
+ * Per-newsletter config: mjml-template/<newsletter>/config.json
+ *
+ * A newsletter is "layout.mjml + config.json" — no builder script of its own.
+ *
+ * {
+ *   "name": "London Summary",
+ *   "style": "london",                 // default markup family for every section
+ *   "lang": "en-GB",                   // optional, <html lang> (default "en", lib/accessibility.js)
+ *   "brandColor": "#80011F",           // link underline, dividers, headings
+ *   "accentColor": "#eeca66",          // optional (Dubai heading rules)
+ *   "linkStyle": "...",                // optional, style="" of every link (default from brandColor)
+ *   "siteUrl": "https://www.londonsummary.com/",
+ *   "assetBaseUrl": "https://www.londonsummary.com/email",
+ *   "images": { "maxWidth": 1200, "maxBytes": 250000 },  // optional, see lib/images.js
+ *   "size": { "budgetKb": 102, "minify": false }, // optional, Gmail clipping budget (lib/size.js)
+ *   "links": { "baseUrl": "https://link.londonsummary.com", "prefix": "ls" }, // optional, see lib/links.js
+ *   "utm": true,                                 // optional, UTM-tag outbound links (lib/utm.js)
+ *   "houseAd": { "headline": "...", "body": "...", "ctaText": "..." }, // unsold ad slots, see lib/ads.js
+ *   "adSlots": { "secondary": { "template": "ad-inline.mjml" } },      // optional, see lib/ads.js
+ *   "sections": [
+ *     {
+ *       "id": "spotlight",             // key in the extracted edition
+ *       "type": "story-cards",         // see lib/sections/index.js
+ *       "heading": "Spotlight",        // H2 text in the DOCX
+ *       "aliases": ["Spotlights"],     // optional, other accepted H2 texts
+ *       "match": "prefix",             // optional, accept headings starting with it
+ *       "token": "SPOTLIGHT_SECTION",  // {{%SPOTLIGHT_SECTION%}} in layout.mjml
+ *                                      // (not for types without render: subject-line)
+ *       "variant": "london",           // optional, overrides "style"
+ *       "utmContent": "lss",           // optional, utm_content name (default "id")
+ *       "textHeading": false,          // optional, heading in the .txt (lib/plain-text.js)
+ *       "optional": true,              // optional, a missing heading only warns (lib/validate.js)
+ *       ...type specific options (ad, template, limit, ...)
+ *     }
+ *   ]
+ * }
+ */
+
+import fs from "fs";
+import path from "path";
+import { SECTION_TYPES } from "./sections/index.js";
+
+const TEMPLATE_ROOT = "mjml-template";
+const REQUIRED_FIELDS = [
+  "name",
+  "style",
+  "brandColor",
+  "siteUrl",
+  "assetBaseUrl",
+];
+const REQUIRED_SECTION_FIELDS = ["id", "type", "heading"];
+
+/** -----------------------------
+ * Discovery
+ * ----------------------------- */
+export function listNewsletters({ root = process.cwd() } = {}) {
+  const dir = path.join(root, TEMPLATE_ROOT);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .filter((name) => fs.existsSync(path.join(dir, name, "config.json")))
+    .sort();
+}
+
+/** -----------------------------
+ * Load + validate
+ * ----------------------------- */
+export function loadNewsletterConfig(
+  newsletter,
+  { root = process.cwd() } = {},
+) {
+  const templateDir = path.join(root, TEMPLATE_ROOT, newsletter);
+  const configPath = path.join(templateDir, "config.json");
+  const layoutPath = path.join(templateDir, "layout.mjml");
+
+  if (!fs.existsSync(configPath)) {
+    const known = listNewsletters({ root });
+    throw new Error(
+      `No config found for "${newsletter}" (${configPath}). Expected one of: ${known.join(", ")}`,
+    );
+  }
+  if (!fs.existsSync(layoutPath)) {
+    throw new Error(`layout.mjml not found: ${layoutPath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${configPath}: ${e.message}`);
+  }
+
+  validateConfig(config, configPath);
+
+  return { ...config, slug: newsletter, templateDir, layoutPath };
+}
+
+function validateConfig(config, configPath) {
+  for (const field of REQUIRED_FIELDS) {
+    if (!config[field]) {
+      throw new Error(`${configPath}: missing "${field}"`);
+    }
+  }
+
+  if (!Array.isArray(config.sections) || !config.sections.length) {
+    throw new Error(`${configPath}: "sections" must be a non-empty array`);
+  }
+
+  const ids = new Set();
+  config.sections.forEach((section, idx) => {
+    for (const field of REQUIRED_SECTION_FIELDS) {
+      if (!section[field]) {
+        throw new Error(`${configPath}: sections[${idx}] missing "${field}"`);
+      }
+    }
+    if (!SECTION_TYPES[section.type]) {
+      throw new Error(
+        `${configPath}: sections[${idx}] has unknown type "${section.type}". Expected one of: ${Object.keys(SECTION_TYPES).join(", ")}`,
+      );
+    }
+    if (SECTION_TYPES[section.type].render && !section.token) {
+      throw new Error(`${configPath}: sections[${idx}] missing "token"`);
+    }
+    if (ids.has(section.id)) {
+      throw new Error(`${configPath}: duplicate section id "${section.id}"`);
+    }
+    ids.add(section.id);
+  });
+}
+
+/** -----------------------------
+ * Link style
+ * - brand colour underline, black text
+ * ----------------------------- */
+export function linkStyleFor(color) {
+  return `text-decoration: none; border-bottom: 2px solid ${color}; color: black;`;
+}
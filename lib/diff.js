@@ -0,0 +1,396 @@
+/**
+ * lib/diff.js
+ * -----------
+ * Compare two builds of an edition (diff.js):
+ *   dist/<newsletter>/<year>/<month>/<file>.html (or .mjml)
+ *
+ * - content: the edition JSON written next to each build (lib/edition.js),
+ *   section by section, in config.json order:
+ *     "Spotlight #2 title changed"
+ *     "Long story short Business gained 1 item"
+ *     "Ad (primary) link changed"
+ * - markup: the compiled HTML (or the MJML when .mjml files are compared),
+ *   tag by tag, whitespace ignored; each change is located by the last text
+ *   before it ("near "What's on"")
+ *
+ * Builds are read from disk, or from git (git show <rev>:<path>) to compare a
+ * build with its committed version.
+ */
+
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { isDeepStrictEqual } from "util";
+import { cleanText, stripHtmlToText } from "./text.js";
+
+const MARKUP_EXTS = [".html", ".mjml"];
+const BUILD_EXTS = [...MARKUP_EXTS, ".json", ".txt"];
+
+// Field -> words in a change ("" = not named: html inside a block...)
+const FIELD_NAMES = {
+  blocks: "body",
+  body: "body",
+  html: "",
+  items: "",
+  categories: "",
+  src: "",
+  desc: "description",
+  alt: "alt text",
+  ctaText: "button text",
+  ctaUrl: "link",
+};
+// Field -> what one entry of a plain list is called
+const ITEM_NOUNS = { blocks: "paragraph", body: "paragraph", tags: "tag" };
+// Lists of titled entries matched by title instead of position
+const MATCH_BY_TITLE = new Set(["categories"]);
+
+const MAX_EDITS = 3000; // markup alignment gives up beyond this
+const EXCERPT_LENGTH = 100;
+
+/** -----------------------------
+ * Builds
+ * ----------------------------- */
+
+/**
+ * file: .html / .mjml (which markup to compare) or the edition .json
+ * rev:  read the committed version instead (git show <rev>:<file>)
+ * Returns { label, format, markup, edition } (edition null without a .json)
+ */
+export function readBuild(file, { rev } = {}) {
+  const ext = path.extname(file).toLowerCase();
+  const base = BUILD_EXTS.includes(ext) ? file.slice(0, -ext.length) : file;
+  const format = MARKUP_EXTS.includes(ext) ? ext : ".html";
+  const read = rev ? (f) => gitShow(rev, f) : readIfExists;
+  const label = rev ? `${rev}:${base}${format}` : `${base}${format}`;
+
+  const markup = read(base + format);
+  if (markup == null) throw new Error(`Build not found: ${label}`);
+
+  let edition = null;
+  const json = read(`${base}.json`);
+  if (json != null) {
+    try {
+      edition = JSON.parse(json);
+    } catch (e) {
+      throw new Error(`Invalid JSON in ${base}.json: ${e.message}`);
+    }
+  }
+
+  return { label, format, markup, edition };
+}
+
+function readIfExists(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+}
+
+// null when the file is not in that revision
+function gitShow(rev, file) {
+  const rel = path.relative(process.cwd(), path.resolve(file));
+  try {
+    return execFileSync(
+      "git",
+      ["show", `${rev}:./${rel.split(path.sep).join("/")}`],
+      { encoding: "utf8", maxBuffer: 64 * 1024 * 1024, stdio: "pipe" },
+    );
+  } catch (e) {
+    if (/does not exist|exists on disk, but not in/.test(e.stderr || "")) {
+      return null;
+    }
+    throw new Error(`git show failed: ${cleanText(e.stderr || e.message)}`);
+  }
+}
+
+/** -----------------------------
+ * Content (edition JSON)
+ * ----------------------------- */
+
+/**
+ * Returns ["Spotlight #2 title changed", ...] (config.json section order,
+ * then ad slots)
+ */
+export function diffEditions(before, after, config) {
+  const changes = [];
+
+  for (const section of config.sections) {
+    const name = cleanText(section.label || section.story || section.heading);
+    changes.push(
+      ...diffValue(
+        before.sections?.[section.id]?.data,
+        after.sections?.[section.id]?.data,
+        [name],
+      ),
+    );
+  }
+
+  const slots = new Set([
+    ...Object.keys(before.ads || {}),
+    ...Object.keys(after.ads || {}),
+  ]);
+  for (const slot of slots) {
+    changes.push(
+      ...diffValue(before.ads?.[slot], after.ads?.[slot], [`Ad (${slot})`]),
+    );
+  }
+
+  return changes;
+}
+
+function diffValue(a, b, where, key = "") {
+  if (isDeepStrictEqual(a, b)) return [];
+
+  const prefix = where.filter(Boolean).join(" ");
+  if (isEmpty(a)) return [`${prefix} added`];
+  if (isEmpty(b)) return [`${prefix} removed`];
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return isTitledList(a) && isTitledList(b)
+      ? diffEntries(a, b, where, key)
+      : diffItems(a, b, where, key);
+  }
+
+  if (isObject(a) && isObject(b)) {
+    return Object.keys({ ...a, ...b }).flatMap((field) =>
+      diffValue(
+        a[field],
+        b[field],
+        [...where, FIELD_NAMES[field] ?? field],
+        field,
+      ),
+    );
+  }
+
+  if (typeof a === "string" && typeof b === "string") {
+    const change = stringChange(a, b);
+    return change ? [`${prefix} ${change}`] : [];
+  }
+
+  return [`${prefix} changed`];
+}
+
+// Stories / events by position ("#2"), categories by title ("Business")
+function diffEntries(a, b, where, key) {
+  if (MATCH_BY_TITLE.has(key)) {
+    const titles = [...new Set([...a, ...b].map((x) => x.title))];
+    return titles.flatMap((title) =>
+      diffValue(
+        a.find((x) => x.title === title),
+        b.find((x) => x.title === title),
+        [...where, cleanText(title)],
+      ),
+    );
+  }
+
+  const changes = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    changes.push(...diffValue(a[i], b[i], [...where, `#${i + 1}`]));
+  }
+  return changes;
+}
+
+// Plain lists (bullets, paragraphs, tags): item by item when only edited,
+// otherwise "gained 1 item" / "lost 2 items" (+ "1 changed")
+function diffItems(a, b, where, key) {
+  const noun = ITEM_NOUNS[key] || "item";
+
+  if (a.length === b.length) {
+    const changes = [];
+    a.forEach((item, i) => {
+      changes.push(...diffValue(item, b[i], [...where, `${noun} ${i + 1}`]));
+    });
+    return changes;
+  }
+
+  const remaining = b.map((x) => JSON.stringify(x));
+  let kept = 0;
+  for (const item of a) {
+    const idx = remaining.indexOf(JSON.stringify(item));
+    if (idx !== -1) {
+      remaining.splice(idx, 1);
+      kept++;
+    }
+  }
+
+  const delta = b.length - a.length;
+  const edited = Math.min(a.length, b.length) - kept;
+  const count = Math.abs(delta);
+  const parts = [
+    `${delta > 0 ? "gained" : "lost"} ${count} ${noun}${count === 1 ? "" : "s"}`,
+    edited > 0 && `${edited} changed`,
+  ];
+
+  return [
+    `${where.filter(Boolean).join(" ")} ${parts.filter(Boolean).join(", ")}`,
+  ];
+}
+
+// "changed" (text), "link changed", "formatting changed", or null when only
+// whitespace differs
+function stringChange(a, b) {
+  if (squash(a) === squash(b)) return null;
+  if (stripHtmlToText(a) !== stripHtmlToText(b)) return "changed";
+  if (!isDeepStrictEqual(hrefsIn(a), hrefsIn(b))) return "link changed";
+  return "formatting changed";
+}
+
+function hrefsIn(html) {
+  return [...html.matchAll(/href=(["'])(.*?)\1/gi)].map((m) => m[2]);
+}
+
+function isTitledList(list) {
+  return list.every((x) => isObject(x) && "title" in x);
+}
+
+function isObject(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function isEmpty(x) {
+  return x == null || x === "" || (Array.isArray(x) && !x.length);
+}
+
+/** -----------------------------
+ * Markup
+ * ----------------------------- */
+
+/**
+ * Returns [{ near, removed: [tag | text], added: [tag | text] }], one per
+ * run of changed tokens (tags and text runs, whitespace ignored)
+ */
+export function diffMarkup(before, after) {
+  const ops = alignSequences(markupTokens(before), markupTokens(after), squash);
+  const hunks = [];
+  let near = "";
+  let hunk = null;
+
+  for (const [op, token] of ops) {
+    if (op === " ") {
+      hunk = null;
+      if (isText(token)) near = token;
+      continue;
+    }
+
+    if (!hunk) {
+      hunk = { near, removed: [], added: [] };
+      hunks.push(hunk);
+    }
+    (op === "-" ? hunk.removed : hunk.added).push(token);
+    if (op === "-" && isText(token)) near = token;
+  }
+
+  return hunks;
+}
+
+// Tags and text runs, whitespace collapsed
+function markupTokens(markup) {
+  return (markup || "")
+    .replace(/\s+/g, " ")
+    .split(/(?=<)|(?<=>)/)
+    .map((token) => token.trim())
+    .filter(Boolean);
+}
+
+// Readable text, not a tag or a run of entities (preview text padding)
+function isText(token) {
+  return !token.startsWith("<") && /\w/.test(token.replace(/&#?\w+;/g, ""));
+}
+
+export function excerpt(token) {
+  const text = cleanText(token);
+  return text.length > EXCERPT_LENGTH
+    ? `${text.slice(0, EXCERPT_LENGTH - 1)}…`
+    : text;
+}
+
+function squash(s) {
+  return s.replace(/\s+/g, "");
+}
+
+/** -----------------------------
+ * Alignment (Myers): [[" " | "-" | "+", item], ...] turning a into b
+ * - key(item) decides equality
+ * - more than MAX_EDITS changes: all of a removed, then all of b added
+ * ----------------------------- */
+export function alignSequences(a, b, key = (x) => x) {
+  let head = 0;
+  while (head < a.length && head < b.length && key(a[head]) === key(b[head])) {
+    head++;
+  }
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    key(a[a.length - 1 - tail]) === key(b[b.length - 1 - tail])
+  ) {
+    tail++;
+  }
+
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+
+  return [
+    ...a.slice(0, head).map((x) => [" ", x]),
+    ...(myers(midA, midB, key) || [
+      ...midA.map((x) => ["-", x]),
+      ...midB.map((x) => ["+", x]),
+    ]),
+    ...a.slice(a.length - tail).map((x) => [" ", x]),
+  ];
+}
+
+function myers(a, b, key) {
+  const ka = a.map(key);
+  const kb = b.map(key);
+  const n = a.length;
+  const m = b.length;
+  const off = n + m + 1;
+  const v = new Int32Array(2 * off + 1);
+  const trace = []; // v before step d, for k in [-d - 1, d + 1]
+
+  let found = false;
+  for (let d = 0; d <= Math.min(n + m, MAX_EDITS) && !found; d++) {
+    trace.push(v.slice(off - d - 1, off + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])
+          ? v[off + k + 1]
+          : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && ka[x] === kb[y]) {
+        x++;
+        y++;
+      }
+      v[off + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) return null;
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const prev = trace[d];
+    const at = (k) => prev[k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push([" ", a[x]]);
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push(["+", b[--y]]);
+      else ops.push(["-", a[--x]]);
+    }
+  }
+
+  return ops.reverse();
+}
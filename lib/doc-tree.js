@@ -0,0 +1,307 @@
+/**
+ * lib/doc-tree.js
+ * ---------------
+ * Shared section-parsing engine for Mammoth HTML.
+ *
+ * The DOCX is parsed ONCE into a section tree that every builder consumes:
+ *
+ *   tree.preamble            -> blocks before the first H2 (title, "In this edition", ...)
+ *   tree.sections[]          -> one per H2 (with text)
+ *     .title                 -> cleaned heading text
+ *     .heading               -> the H2 node
+ *     .nodes                 -> every block until the next H2 (H3s included)
+ *     .intro                 -> blocks before the first H3
+ *     .stories[]             -> one per H3 (with text)
+ *       .title / .heading
+ *       .nodes               -> blocks until the next H3 or H2
+ *
+ * Rules shared by all newsletters:
+ * - an H2/H3 only opens a section/story when it has text
+ * - <div> wrappers are unwrapped into their p/ul/ol/img children
+ * - nodes are cheerio selections (node.html(), node.text(), node.clone())
+ */
+
+import * as cheerio from "cheerio";
+import { cleanText } from "./text.js";
+
+const UNWRAPPED_DIV_CHILDREN = "p, ul, ol, img";
+
+/** -----------------------------
+ * Parse
+ * ----------------------------- */
+export function parseDocTree(html) {
+  const $ = cheerio.load(html || "");
+  const tree = { $, preamble: [], sections: [] };
+
+  let section = null;
+  let story = null;
+
+  $("body")
+    .children()
+    .each((_, child) => {
+      const el = $(child);
+      const tag = tagOf(el);
+      const txt = cleanText(el.text());
+
+      if (tag === "h2" && txt) {
+        section = {
+          title: txt,
+          heading: el,
+          nodes: [],
+          intro: [],
+          stories: [],
+        };
+        story = null;
+        tree.sections.push(section);
+        return;
+      }
+
+      for (const node of unwrapBlock($, el)) {
+        if (!section) {
+          tree.preamble.push(node);
+          continue;
+        }
+
+        section.nodes.push(node);
+
+        const nodeText = cleanText(node.text());
+        if (tagOf(node) === "h3" && nodeText) {
+          story = { title: nodeText, heading: node, nodes: [] };
+          section.stories.push(story);
+          continue;
+        }
+
+        if (story) story.nodes.push(node);
+        else section.intro.push(node);
+      }
+    });
+
+  return tree;
+}
+
+function unwrapBlock($, el) {
+  if (tagOf(el) !== "div") return [el];
+  return el
+    .children(UNWRAPPED_DIV_CHILDREN)
+    .map((_, c) => $(c))
+    .get();
+}
+
+/** -----------------------------
+ * Queries
+ * ----------------------------- */
+export function tagOf(node) {
+  return (node?.[0]?.tagName || "").toLowerCase();
+}
+
+export function nodesOfTag(nodes, ...tags) {
+  return (nodes || []).filter((n) => tags.includes(tagOf(n)));
+}
+
+/**
+ * Heading comparison key:
+ * - lowercase, curly apostrophes -> straight
+ * - trailing ":" / "?" dropped ("Did you know?" == "did you know")
+ */
+export function headingKey(s) {
+  return cleanText(s)
+    .toLowerCase()
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/\s*[:?]+$/, "");
+}
+
+/**
+ * First section whose H2 matches one of `names`.
+ * - prefix: also accept headings that start with a name ("What’s on this week")
+ */
+export function findSection(tree, names, { prefix = false } = {}) {
+  const keys = [].concat(names).map(headingKey);
+
+  return (
+    (tree?.sections || []).find((s) => {
+      const key = headingKey(s.title);
+      return keys.some((k) => key === k || (prefix && key.startsWith(k)));
+    }) || null
+  );
+}
+
+export function findStory(section, names) {
+  const keys = [].concat(names).map(headingKey);
+  return (
+    (section?.stories || []).find((s) => keys.includes(headingKey(s.title))) ||
+    null
+  );
+}
+
+/** -----------------------------
+ * Common extractors
+ * ----------------------------- */
+
+/**
+ * "In this edition" items
+ * - marker = first p/h1/h2/h3/div starting with one of `names`
+ *   (defaults to "In this edition")
+ * - Case 1: the first <ul> after the marker
+ * - Case 2: paragraphs after the marker until the next heading
+ *   (skips date/AQI lines, stops at "Was this email forwarded")
+ */
+export function extractInThisEdition(tree, names = "in this edition") {
+  const { $ } = tree;
+  const keys = [].concat(names).map(headingKey);
+  const [, ...blocks] = inThisEditionBlocks(tree, names);
+
+  if (tagOf(blocks[0]) === "ul") {
+    return blocks[0]
+      .find("li")
+      .map((_, li) => cleanText($(li).text()))
+      .get()
+      .filter(Boolean)
+      .slice(0, 12);
+  }
+
+  const items = [];
+  const addItem = (txt) => {
+    if (!isDateLine(txt)) items.push(stripEditionPrefix(txt, keys));
+  };
+  for (const el of blocks) {
+    if (tagOf(el) === "p") addItem(cleanText(el.text()));
+    else el.find("p").each((_, p) => addItem(cleanText($(p).text())));
+  }
+
+  return Array.from(new Set(items.filter(Boolean))).slice(0, 12);
+}
+
+/**
+ * The blocks the items are read from: [marker, <ul>] (case 1) or
+ * [marker, ...p / div] (case 2); [] without a marker
+ */
+export function inThisEditionBlocks(tree, names = "in this edition") {
+  const { $ } = tree;
+  const keys = [].concat(names).map(headingKey);
+
+  const marker = $("p, h1, h2, h3, div")
+    .filter((_, el) => {
+      const key = headingKey($(el).text());
+      return keys.some((k) => key.startsWith(k));
+    })
+    .first();
+
+  if (!marker.length) return [];
+
+  let ul = marker.nextAll("ul").first();
+  if (!ul.length) ul = marker.nextAll().find("ul").first();
+  if (ul.length) return [marker, ul];
+
+  const blocks = [marker];
+  let el = marker.next();
+
+  while (el && el.length) {
+    const tag = tagOf(el);
+    const txt = cleanText(el.text());
+
+    if ((tag === "h2" || tag === "h3") && txt) break;
+
+    if (tag === "p") {
+      if (!txt) break;
+      if (txt.toLowerCase().startsWith("was this email forwarded")) break;
+      blocks.push(el);
+    } else if (tag === "div") {
+      blocks.push(el);
+    }
+
+    el = el.next();
+  }
+
+  return blocks;
+}
+
+function stripEditionPrefix(txt, keys) {
+  for (const key of keys) {
+    if (txt.toLowerCase().startsWith(key)) {
+      return txt
+        .slice(key.length)
+        .replace(/^[:?]?\s*/, "")
+        .trim();
+    }
+  }
+  return txt.trim();
+}
+
+// "Feb 13, Fri • AQI 40" / "Friday" lines that sit next to the edition list
+function isDateLine(txt) {
+  return (
+    /\bAQI\b/i.test(txt) ||
+    /(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i.test(txt)
+  );
+}
+
+/**
+ * First non-empty paragraph of a section (Preview text, Day, Image credits...)
+ * Returns the paragraph node, or null.
+ */
+export function firstParagraph(section) {
+  return (
+    nodesOfTag(section?.nodes, "p").find((p) => cleanText(p.text())) || null
+  );
+}
+
+/**
+ * First image anywhere in `nodes` (standalone, inside a <p>, or inside a
+ * heading — writers sometimes paste the picture into the H3 line).
+ * Returns { src, alt } or null.
+ */
+export function firstImage(nodes) {
+  for (const node of (nodes || []).filter(Boolean)) {
+    const img = tagOf(node) === "img" ? node : node.find("img").first();
+    if (img?.length && img.attr("src")) {
+      return { src: img.attr("src"), alt: img.attr("alt") || "" };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split story nodes into lead image + caption + body:
+ * - image   = first <img> (standalone or inside a <p>)
+ * - caption = the paragraph right after the image when it is italic-only
+ * - body    = every other node
+ */
+export function splitLeadImage(nodes) {
+  const seq = (nodes || []).filter(Boolean);
+  const out = { image: null, captionNode: null, bodyNodes: [] };
+
+  let imgIndex = -1;
+  for (let i = 0; i < seq.length; i++) {
+    const tag = tagOf(seq[i]);
+    let img = null;
+    if (tag === "img") img = seq[i];
+    else if (tag === "p") img = seq[i].find("img").first();
+
+    if (img?.length) {
+      out.image = { src: img.attr("src") || "", alt: img.attr("alt") || "" };
+      imgIndex = i;
+      break;
+    }
+  }
+
+  let captionIndex = -1;
+  if (imgIndex >= 0 && isCaptionParagraph(seq[imgIndex + 1])) {
+    out.captionNode = seq[imgIndex + 1];
+    captionIndex = imgIndex + 1;
+  }
+
+  out.bodyNodes = seq.filter((_, i) => i !== imgIndex && i !== captionIndex);
+  return out;
+}
+
+function isCaptionParagraph(node) {
+  if (!node || tagOf(node) !== "p") return false;
+
+  const $ = cheerio.load(`<root>${node.html() || ""}</root>`, null, false);
+  const hasItalic = $("em, i").length > 0;
+  const plain = cleanText($("root").text());
+  const hasOtherBlocks =
+    $("root").find("strong,b,ul,ol,h1,h2,h3,img").length > 0;
+
+  return hasItalic && !!plain && !hasOtherBlocks;
+}
@@ -0,0 +1,159 @@
+/**
+ * lib/edition.js
+ * --------------
+ * Edition JSON, written next to the email by the builder:
+ *   dist/<newsletter>/<year>/<month>/<file>.json
+ *
+ * The parsed content of one edition (builder extractEdition), for tooling
+ * that should not scrape the compiled HTML (web, social, analytics).
+ *
+ * {
+ *   "schemaVersion": 1,
+ *   "newsletter": "london-summary",
+ *   "name": "London Summary",
+ *   "date": "2026-02-13",              // "" when the file name has no day
+ *   "subject": "...",                  // first "subject-line" ("" if none)
+ *   "subjectVariants": [               // A/B test, only with several subject lines
+ *     { "id": "A", "subject": "..." }, { "id": "B", "subject": "..." }
+ *   ],
+ *   "previewText": "...",              // "preview-text" section ("" if none)
+ *   "inThisEdition": ["...", ...],     // first "bullets" section ([] if none)
+ *   "ads": {                           // filled ad slots, see lib/ads.js
+ *     "<slot>": { "slot", "house", "label", "headline", "body", "image",
+ *                 "alt", "ctaText", "ctaUrl", "creative" }
+ *   },
+ *   "sections": {                      // config.json order
+ *     "<section id>": {
+ *       "type": "story-cards",
+ *       "heading": "Spotlight",
+ *       "data": ...,                   // per type, below
+ *       "links": [{ "text": "...", "href": "..." }]
+ *     }
+ *   }
+ * }
+ *
+ * "data" per section type (HTML = sanitized inline HTML, lib/inline-html.js):
+ *   meta-field        "text" (or inline HTML with "format": "html")
+ *   subject-line      ["subject", ...]
+ *   bullets           ["item", ...]
+ *   story-cards       [Story]
+ *   story-list        [Story]
+ *   paragraph-list    ["<html>", ...]
+ *   image             Image | null
+ *   events            [{ title, desc, ctaText, ctaUrl, image: Image | null }]
+ *   long-story-short  { categories: [Category], image: Image | null }
+ *                     Category = { title, items: ["<html>"] }              (london)
+ *                              | { title, image: Image | null, blocks: [Block] }
+ *   job               { title, tags: ["..."], body: ["<html>"] }
+ *
+ *   Story = { title, image: Image | null, caption: "<html>", blocks: [Block] }
+ *   Block = { type: "p" | "ul" | "ol", html }
+ *   Image = { src, alt }               // src: published URL (lib/images.js)
+ *
+ * "links" lists every link in "data" in reading order, with the source URL
+ * (before tracking / UTM tagging). Unknown fields may be added in the same
+ * schemaVersion; renames and removals bump it.
+ *
+ * Input (node build.js <file>.json): "date", "ads" and each section's "data"
+ * are rendered; subject / subjectVariants / previewText / inThisEdition /
+ * links are derived copies and ignored, so edit the section data instead.
+ */
+
+import * as cheerio from "cheerio";
+import { variantId } from "./sections/subject-line.js";
+import { cleanText } from "./text.js";
+
+export const EDITION_SCHEMA_VERSION = 1;
+
+const PREVIEW_TEXT_ID = "preview-text";
+const SUBJECT_LINE_ID = "subject-line";
+
+export function editionJson(edition, config) {
+  const sections = {};
+  for (const section of config.sections) {
+    const data = edition.sections[section.id];
+    sections[section.id] = {
+      type: section.type,
+      heading: section.heading,
+      data,
+      links: linksIn(data),
+    };
+  }
+
+  const bullets = config.sections.find((s) => s.type === "bullets");
+  const subjects = edition.sections[SUBJECT_LINE_ID] || [];
+
+  return {
+    schemaVersion: EDITION_SCHEMA_VERSION,
+    newsletter: edition.newsletter,
+    name: config.name,
+    date: edition.date,
+    subject: subjects[0] || "",
+    subjectVariants:
+      subjects.length > 1
+        ? subjects.map((subject, i) => ({ id: variantId(i), subject }))
+        : [],
+    previewText: edition.sections[PREVIEW_TEXT_ID] || "",
+    inThisEdition: (bullets && edition.sections[bullets.id]) || [],
+    ads: edition.ads,
+    sections,
+  };
+}
+
+/**
+ * Edition JSON -> the in-memory edition the builder renders
+ * (missing sections render empty, like a DOCX without that heading)
+ * problems: optional array, gets one message per missing section
+ */
+export function editionFromJson(
+  json,
+  config,
+  { date = "", problems = [] } = {},
+) {
+  if (json?.schemaVersion !== EDITION_SCHEMA_VERSION) {
+    throw new Error(
+      `Unsupported edition schemaVersion ${json?.schemaVersion} (expected ${EDITION_SCHEMA_VERSION})`,
+    );
+  }
+  if (json.newsletter !== config.slug) {
+    throw new Error(
+      `Edition JSON is for "${json.newsletter}", not "${config.slug}"`,
+    );
+  }
+
+  const sections = {};
+  for (const section of config.sections) {
+    const entry = json.sections?.[section.id];
+    if (!entry) {
+      const problem = `Section "${section.id}" missing from edition JSON`;
+      console.warn(`⚠️ ${problem}`);
+      problems.push(problem);
+      continue;
+    }
+    sections[section.id] = entry.data;
+  }
+
+  return {
+    newsletter: json.newsletter,
+    date: json.date ?? date,
+    ads: json.ads || {},
+    sections,
+  };
+}
+
+// Every <a href> inside HTML strings, plus CTA fields ({ ctaText, ctaUrl })
+function linksIn(data, out = []) {
+  if (typeof data === "string") {
+    if (!data.includes("<a")) return out;
+    const $ = cheerio.load(`<root>${data}</root>`, null, false);
+    $("a[href]").each((_, a) => {
+      out.push({ text: cleanText($(a).text()), href: $(a).attr("href") });
+    });
+  } else if (Array.isArray(data)) {
+    for (const item of data) linksIn(item, out);
+  } else if (data && typeof data === "object") {
+    if (data.ctaUrl) out.push({ text: data.ctaText || "", href: data.ctaUrl });
+    for (const value of Object.values(data)) linksIn(value, out);
+  }
+  return out;
+}
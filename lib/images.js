@@ -0,0 +1,287 @@
+/**
+ * lib/images.js
+ * -------------
+ * DOCX images -> files next to the built email.
+ *
+ * Mammoth inlines every Word image as a data URI. Sections hand those URIs to
+ * the store while extracting; the store names them deterministically and
+ * returns the public URL the email should use:
+ *
+ *   dist/<newsletter>/<year>/<month>/images/<file>-<section>-<n>.<ext>
+ *   -> <assetBaseUrl>/<newsletter>/<year>/<month>/images/<file>-<section>-<n>.<ext>
+ *
+ * The URL mirrors the dist/ path, so editions with the same file name
+ * (feb-13 of every year, a reused template) never overwrite each other.
+ *
+ * e.g. feb-13-spotlight-1.jpg, feb-13-spotlight-2.jpg, feb-13-foundations-1.png
+ *
+ * Before that, optimizeImage() (called from the mammoth convertImage hook)
+ * sizes every picture for the 600px email column.
+ */
+
+import fs from "fs";
+import { Jimp } from "jimp";
+import path from "path";
+import { ensureDir } from "./paths.js";
+
+const DATA_URI = /^data:([^;,]+);base64,(.*)$/s;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/bmp": "bmp",
+  "image/tiff": "tif",
+  "image/svg+xml": "svg",
+};
+
+/** -----------------------------
+ * Optimize
+ * - 2x the email column (1200px) for retina, never upscaled, never wider
+ * - pictures already narrow enough and within "maxBytes" keep their encoding,
+ *   minus the metadata (EXIF, XMP, comments: stripMetadata)
+ * - others are re-encoded, which also drops EXIF (orientation applied first):
+ *   JPEG quality stepped down until the file fits "maxBytes"
+ *   (or the original size), opaque PNGs still over budget become JPEGs
+ * - a re-encode that is not smaller than the original is dropped for the
+ *   original, so pictures never grow — unless the original is wider than
+ *   "maxWidth" or turned by its EXIF orientation
+ * Other formats (GIF, EMF, ...) are passed through untouched; so are
+ * pictures that do not decode (with the reason as "problem").
+ *
+ * Options (config.json "images", all optional):
+ *   { "maxWidth": 1200, "maxBytes": 250000, "quality": 82 }
+ * ----------------------------- */
+export const IMAGE_DEFAULTS = { maxWidth: 1200, maxBytes: 250000, quality: 82 };
+
+const MIN_QUALITY = 50;
+const QUALITY_STEP = 8;
+const OPTIMIZED_TYPES = new Set(["image/jpeg", "image/jpg", "image/png"]);
+
+export async function optimizeImage(buffer, contentType, options = {}) {
+  const { maxWidth, maxBytes, quality } = { ...IMAGE_DEFAULTS, ...options };
+  const type = (contentType || "").toLowerCase();
+  const original = { buffer, contentType, bytes: buffer.length };
+
+  if (!OPTIMIZED_TYPES.has(type)) return { ...original, skipped: true };
+
+  let image;
+  try {
+    image = await Jimp.fromBuffer(buffer);
+  } catch (e) {
+    const problem = `Could not decode ${contentType} image: ${e.message}`;
+    return { ...original, skipped: true, problem };
+  }
+
+  // Stripping the EXIF of a turned JPEG would turn it back: re-encode those
+  const rotated = type !== "image/png" && jpegOrientation(buffer) > 1;
+  const stripped = stripMetadata(buffer, type);
+  const kept = {
+    ...original,
+    buffer: stripped,
+    bytes: stripped.length,
+    width: image.bitmap.width,
+    height: image.bitmap.height,
+  };
+  const tooWide = kept.width > maxWidth;
+  if (!tooWide && !rotated && kept.bytes <= maxBytes) return kept;
+
+  if (tooWide) image.resize({ w: maxWidth });
+  const { width, height } = image.bitmap;
+  const out = await reencode(image, type, {
+    maxBytes,
+    quality,
+    budget: Math.min(maxBytes, kept.bytes),
+  });
+
+  if (!tooWide && !rotated && out.buffer.length >= kept.bytes) return kept;
+  return { ...out, width, height, bytes: out.buffer.length };
+}
+
+// Best encoding of an (already resized) picture
+async function reencode(image, type, { maxBytes, quality, budget }) {
+  let out;
+  if (type === "image/png") {
+    out = {
+      contentType: "image/png",
+      buffer: await image.getBuffer("image/png", { deflateLevel: 9 }),
+    };
+    if (out.buffer.length <= maxBytes || image.hasAlpha()) return out;
+  }
+
+  for (let q = quality; ; q = Math.max(MIN_QUALITY, q - QUALITY_STEP)) {
+    out = {
+      contentType: "image/jpeg",
+      buffer: await image.getBuffer("image/jpeg", { quality: q }),
+    };
+    if (out.buffer.length <= budget || q === MIN_QUALITY) return out;
+  }
+}
+
+/** -----------------------------
+ * Metadata
+ * - JPEG: APP1 (EXIF, XMP), other APPn and COM segments are dropped;
+ *   JFIF (APP0), ICC profile (APP2) and Adobe (APP14) change how the
+ *   pixels decode, so they stay
+ * - PNG: tEXt, zTXt, iTXt, eXIf and tIME chunks are dropped
+ * The same buffer comes back when there is nothing to drop or the file
+ * does not parse.
+ * ----------------------------- */
+const JPEG_KEPT_APP = new Set([0xe0, 0xe2, 0xee]);
+const PNG_DROPPED_CHUNKS = new Set(["tEXt", "zTXt", "iTXt", "eXIf", "tIME"]);
+const PNG_SIGNATURE = 8;
+
+export function stripMetadata(buffer, contentType) {
+  const type = (contentType || "").toLowerCase();
+  if (type === "image/png") return stripPngChunks(buffer);
+  if (type === "image/jpeg" || type === "image/jpg") {
+    return stripJpegSegments(buffer);
+  }
+  return buffer;
+}
+
+function stripJpegSegments(buffer) {
+  const segments = jpegSegments(buffer);
+  if (!segments) return buffer;
+
+  const dropped = segments.filter(
+    ({ marker }) =>
+      marker === 0xfe ||
+      (marker >= 0xe0 && marker <= 0xef && !JPEG_KEPT_APP.has(marker)),
+  );
+  if (!dropped.length) return buffer;
+
+  const parts = [];
+  let at = 0;
+  for (const { start, end } of dropped) {
+    parts.push(buffer.subarray(at, start));
+    at = end;
+  }
+  parts.push(buffer.subarray(at));
+  return Buffer.concat(parts);
+}
+
+// Header segments up to the scan: [{ marker, start, end }], null if malformed
+function jpegSegments(buffer) {
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  const segments = [];
+  let i = 2;
+  while (i + 4 <= buffer.length) {
+    if (buffer[i] !== 0xff) return null;
+    const marker = buffer[i + 1];
+    if (marker === 0xff) {
+      i++; // fill byte
+      continue;
+    }
+    if (marker === 0xda) return segments; // start of scan: image data follows
+
+    const end = i + 2 + buffer.readUInt16BE(i + 2);
+    if (end > buffer.length) return null;
+    segments.push({ marker, start: i, end });
+    i = end;
+  }
+  return null;
+}
+
+function stripPngChunks(buffer) {
+  const parts = [buffer.subarray(0, PNG_SIGNATURE)];
+  let dropped = false;
+
+  for (let i = PNG_SIGNATURE; i < buffer.length;) {
+    if (i + 12 > buffer.length) return buffer;
+    const end = i + 12 + buffer.readUInt32BE(i);
+    if (end > buffer.length) return buffer;
+
+    const chunkType = buffer.toString("latin1", i + 4, i + 8);
+    if (PNG_DROPPED_CHUNKS.has(chunkType)) dropped = true;
+    else parts.push(buffer.subarray(i, end));
+    i = end;
+  }
+  return dropped ? Buffer.concat(parts) : buffer;
+}
+
+/**
+ * EXIF orientation of a JPEG (1 = upright, also when there is no EXIF):
+ * tag 0x0112 of IFD0 in the "Exif" APP1 segment.
+ */
+export function jpegOrientation(buffer) {
+  const app1 = (jpegSegments(buffer) || []).find(
+    ({ start, marker }) =>
+      marker === 0xe1 &&
+      buffer.toString("latin1", start + 4, start + 10) === "Exif\0\0",
+  );
+  if (!app1) return 1;
+
+  const tiff = app1.start + 10;
+  const order = buffer.toString("latin1", tiff, tiff + 2);
+  if (order !== "II" && order !== "MM") return 1;
+  const le = order === "II";
+  const u16 = (at) => (le ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+  const u32 = (at) => (le ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+
+  try {
+    const ifd = tiff + u32(tiff + 4);
+    const count = u16(ifd);
+    for (let n = 0; n < count; n++) {
+      const entry = ifd + 2 + n * 12;
+      if (entry + 12 > app1.end) break;
+      if (u16(entry) === 0x0112) return u16(entry + 8);
+    }
+  } catch {
+    // truncated EXIF: treat as upright
+  }
+  return 1;
+}
+
+/** -----------------------------
+ * Store
+ * ----------------------------- */
+export function createImageStore({ dir, prefix, baseUrl }) {
+  const files = [];
+  const counters = new Map();
+  const bySrc = new Map();
+
+  return {
+    dir,
+    files,
+
+    /**
+     * Register an image src for a section.
+     * - data URIs get a file name + public URL
+     * - anything else (already hosted) is returned unchanged
+     */
+    add(src, label) {
+      const match = DATA_URI.exec(src || "");
+      if (!match) return src || "";
+
+      const key = `${label}\n${src}`;
+      if (bySrc.has(key)) return bySrc.get(key);
+
+      const [, contentType, b64] = match;
+      const n = (counters.get(label) || 0) + 1;
+      counters.set(label, n);
+
+      const ext = EXTENSIONS[contentType.toLowerCase()] || "bin";
+      const name = `${prefix}-${label}-${n}.${ext}`;
+      const url = `${baseUrl}/${name}`;
+
+      files.push({ name, contentType, buffer: Buffer.from(b64, "base64") });
+      bySrc.set(key, url);
+      return url;
+    },
+
+    write() {
+      if (!files.length) return [];
+      ensureDir(dir);
+
+      return files.map((file) => {
+        const filePath = path.join(dir, file.name);
+        fs.writeFileSync(filePath, file.buffer);
+        return filePath;
+      });
+    },
+  };
+}
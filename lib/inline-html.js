@@ -0,0 +1,68 @@
+/**
+ * lib/inline-html.js
+ * ------------------
+ * Inline HTML sanitizer + anchor styling + list rendering.
+ *
+ * Every newsletter keeps its own link style (brand colour underline), so the
+ * style string is passed in instead of being hard-coded per builder.
+ */
+
+import * as cheerio from "cheerio";
+import { normalizeDashes } from "./text.js";
+
+const ALLOWED_INLINE_TAGS = new Set(["strong", "b", "em", "i", "a", "br"]);
+
+/** -----------------------------
+ * Anchors
+ * ----------------------------- */
+export function rewriteAnchors($, linkStyle) {
+  $("a").each((_, a) => {
+    $(a).attr("target", "_blank");
+    $(a).attr("style", linkStyle);
+  });
+}
+
+/** -----------------------------
+ * Inline sanitizer
+ * - restyles anchors
+ * - keeps only strong/b/em/i/a/br (everything else is unwrapped to text)
+ * ----------------------------- */
+export function sanitizeInlineHtml(html, { linkStyle }) {
+  const $ = cheerio.load(`<root>${html || ""}</root>`, null, false);
+  rewriteAnchors($, linkStyle);
+  unwrapDisallowedTags($);
+  return normalizeDashes($("root").html()?.trim() || "");
+}
+
+// Same allow-list, for callers that already tweaked their own cheerio fragment
+export function unwrapDisallowedTags($) {
+  $("root")
+    .find("*")
+    .each((_, el) => {
+      const tag = (el.tagName || "").toLowerCase();
+      if (!ALLOWED_INLINE_TAGS.has(tag)) $(el).replaceWith($(el).text());
+    });
+}
+
+/** -----------------------------
+ * Lists
+ * - listHtml: clones the <ul>/<ol> and restyles anchors
+ * - styleListHtml: inlines list + item styles (margin differs per layout)
+ * ----------------------------- */
+export function listHtml(node, { linkStyle }) {
+  const chunk = cheerio.load("<root></root>", null, false);
+  chunk("root").append(node.clone());
+  rewriteAnchors(chunk, linkStyle);
+
+  return chunk("root").children().first().toString();
+}
+
+export function styleListHtml(html, { listMargin }) {
+  return (html || "")
+    .replace("<ul", `<ul style="margin: ${listMargin}; padding: 0"`)
+    .replace("<ol", `<ol style="margin: ${listMargin}; padding: 0"`)
+    .replace(
+      /<li>/g,
+      '<li style="font-size: 16px; line-height: 1.5; margin-bottom: 6px;">',
+    );
+}
@@ -0,0 +1,68 @@
+/**
+ * lib/links.js
+ * ------------
+ * Tracked short links for ads and CTAs.
+ *
+ * Slug scheme (same as the hand-made ones):
+ *   <prefix>-<day>-<mon>-<year>-<placement>
+ *   ls-4-feb-2026-p-ad-x-4   (London, 4 Feb 2026, primary ad, creative "x-4")
+ *   ls-13-feb-2026-whats-on-1
+ *
+ * Config (config.json "links", optional — without it links stay direct):
+ *   { "baseUrl": "https://link.londonsummary.com", "prefix": "ls" }
+ *
+ * The builder writes every slug -> destination pair next to the email:
+ *   dist/<newsletter>/<year>/<month>/<file>.links.json
+ */
+
+import fs from "fs";
+import { MONTHS } from "./paths.js";
+import { slugify } from "./text.js";
+
+export function createLinkManifest({ baseUrl, prefix, date }) {
+  const links = {};
+  const stem = [prefix, slugDate(date)].filter(Boolean).join("-");
+
+  return {
+    links,
+
+    /**
+     * Destination -> tracked short URL for one placement.
+     * Re-tracking the same placement + destination reuses its slug.
+     */
+    track(destination, placement) {
+      if (!destination) return destination;
+
+      const base = `${stem}-${slugify(placement)}`;
+      let slug = base;
+      for (let n = 2; links[slug] && links[slug] !== destination; n++) {
+        slug = `${base}-${n}`;
+      }
+
+      links[slug] = destination;
+      return `${baseUrl.replace(/\/+$/, "")}/${slug}`;
+    },
+
+    write(filePath) {
+      const entries = Object.keys(links).length;
+      if (!entries) return 0;
+      fs.writeFileSync(filePath, JSON.stringify(links, null, 2) + "\n");
+      return entries;
+    },
+  };
+}
+
+/**
+ * Wrap a destination for a placement when the section context has a
+ * manifest; otherwise hand it back unchanged.
+ */
+export function trackedUrl(ctx, destination, placement) {
+  return ctx.links ? ctx.links.track(destination, placement) : destination;
+}
+
+// "2026-02-04" -> "4-feb-2026"
+function slugDate(date) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || "");
+  if (!m) return "";
+  return `${Number(m[3])}-${MONTHS[Number(m[2]) - 1]}-${m[1]}`;
+}
@@ -0,0 +1,82 @@
+/**
+ * lib/markdown.js
+ * ---------------
+ * Markdown drafts, built like a DOCX from the same folder:
+ *   docx/<newsletter>/<year>/<month>/<file>.md
+ *
+ * Rendered to the HTML shape Mammoth produces, so the doc tree and every
+ * section extractor read it unchanged. Lines work like in Word: every line
+ * is its own paragraph and a blank line is an empty paragraph (What's on
+ * blocks are split on those), so do not hard-wrap prose.
+ *   ## Spotlight            -> Heading 2 (section)
+ *   ### Story title         -> Heading 3 (story)
+ *   **bold**, *italic*, [text](https://...), "-" / "1." lists
+ *   ![alt](photo.jpg)       -> <p><img></p>; local files (relative to the .md)
+ *                              are inlined like Word pictures, so they are
+ *                              optimized and published the same way
+ *   *Italic line*           -> caption when it follows an image
+ */
+
+import * as cheerio from "cheerio";
+import fs from "fs";
+import { marked } from "marked";
+import path from "path";
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+};
+
+/**
+ * convertImage(buffer, contentType) -> src, for local images
+ * (default: plain data URI)
+ * problems: optional array, gets one message per image left out
+ */
+export async function markdownToHtml(
+  mdPath,
+  { convertImage, problems = [] } = {},
+) {
+  const source = fs.readFileSync(mdPath, "utf8").replace(/^\uFEFF/, "");
+  const $ = cheerio.load(marked.parse(source, { gfm: true, breaks: true }));
+
+  // Blank line between two paragraphs -> empty paragraph
+  const afterBlankLine = $("body > p")
+    .toArray()
+    .filter((el) => $(el).prev()[0]?.tagName === "p");
+  for (const el of afterBlankLine) $(el).before("<p></p>\n");
+
+  // Line breaks -> one paragraph per line
+  for (const el of $("body > p").toArray()) {
+    const lines = ($(el).html() || "").split(/<br\s*\/?>\s*/i);
+    if (lines.length < 2) continue;
+    $(el).replaceWith(lines.map((line) => `<p>${line.trim()}</p>`).join("\n"));
+  }
+
+  const toSrc = convertImage || dataUri;
+  for (const el of $("img").toArray()) {
+    const img = $(el);
+    const src = img.attr("src") || "";
+    if (/^(https?:|data:)/i.test(src)) continue;
+
+    const file = path.resolve(path.dirname(mdPath), decodeURI(src));
+    const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()];
+    if (!fs.existsSync(file) || !contentType) {
+      const problem = `Markdown image not found or unsupported: ${src}`;
+      console.warn(`⚠️ ${problem}`);
+      problems.push(problem);
+      continue;
+    }
+
+    img.attr("src", await toSrc(fs.readFileSync(file), contentType));
+  }
+
+  return $("body").html() || "";
+}
+
+function dataUri(buffer, contentType) {
+  return `data:${contentType};base64,${buffer.toString("base64")}`;
+}
@@ -0,0 +1,36 @@
+/**
+ * lib/output-checks.js
+ * --------------------
+ * Last look at the rendered email before it is written (builder):
+ *   - {{%TOKEN%}} left in the MJML (typo in layout.mjml or a partial)
+ *   - REPLACE_ME placeholder URLs (image never supplied)
+ *   - <a> without an href (dead CTA)
+ *
+ * Returns one message per problem; `--strict` builds fail on any of them.
+ */
+
+import * as cheerio from "cheerio";
+import { cleanText } from "./text.js";
+
+const LEFTOVER_TOKEN = /\{\{\%\s*(.*?)\s*\%\}\}/g;
+const PLACEHOLDER_URL = /\b(?:src|href|background)="([^"]*REPLACE_ME[^"]*)"/g;
+
+export function findOutputProblems({ mjml, html }) {
+  const problems = [];
+
+  const tokens = new Set([...mjml.matchAll(LEFTOVER_TOKEN)].map((m) => m[1]));
+  for (const name of tokens) problems.push(`Unreplaced {{%${name}%}}`);
+
+  const urls = new Set([...html.matchAll(PLACEHOLDER_URL)].map((m) => m[1]));
+  for (const url of urls) problems.push(`Placeholder URL: ${url}`);
+
+  const $ = cheerio.load(html);
+  $("a").each((_, el) => {
+    const a = $(el);
+    if ((a.attr("href") || "").trim()) return;
+    const label = cleanText(a.text()).slice(0, 60) || "(no text)";
+    problems.push(`Link without href: "${label}"`);
+  });
+
+  return problems;
+}
@@ -0,0 +1,85 @@
+/**
+ * lib/paths.js
+ * ------------
+ * Output path mirroring:
+ *   docx/<newsletter>/<year>/<month>/<file>.docx (or .md)
+ *   -> dist/<newsletter>/<year>/<month>/<file>.mjml + .html
+ *
+ * Edition JSON can be rebuilt in place:
+ *   dist/<newsletter>/<year>/<month>/<file>.json -> same dist folder
+ *
+ * outRoot moves dist/ elsewhere (tests build into a temp folder); sources
+ * are still read from root.
+ *
+ * relDir: "<newsletter>/<year>/<month>" (the folder under dist/, with "/"),
+ * also the path of the edition's images on the asset host (lib/images.js).
+ */
+
+import fs from "fs";
+import path from "path";
+
+const SOURCE_DIRS = ["docx", "dist"];
+
+export function computeOutPaths(docxPath, { root, outRoot = root }) {
+  const abs = path.resolve(root, docxPath);
+
+  const rel =
+    SOURCE_DIRS.map((dir) => path.relative(path.join(root, dir), abs)).find(
+      (r) => !r.startsWith("..") && !path.isAbsolute(r),
+    ) || "..";
+  const parts = rel.split(path.sep);
+
+  if (rel.startsWith("..") || parts.length < 4) {
+    throw new Error(
+      `Invalid DOCX path. Expected: docx/<newsletter>/YYYY/mon/file.docx\nGot: ${docxPath}`,
+    );
+  }
+
+  const [newsletter, year, month] = parts;
+
+  const base = path.basename(rel, path.extname(rel));
+  const outDir = path.join(outRoot, "dist", path.dirname(rel));
+
+  return {
+    newsletter,
+    year,
+    month,
+    base,
+    relDir: path.dirname(rel).split(path.sep).join("/"),
+    outDir,
+    outMjmlPath: path.join(outDir, `${base}.mjml`),
+    outHtmlPath: path.join(outDir, `${base}.html`),
+  };
+}
+
+/**
+ * Edition date from the mirrored path: <year>/<month>/<mon>-<day>
+ *   2026/feb/feb-13 -> "2026-02-13"  ("" when the file name has no day)
+ */
+export const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+export function editionDate({ year, month, base }) {
+  const m = MONTHS.indexOf(String(month).slice(0, 3).toLowerCase()) + 1;
+  const day = /(\d{1,2})$/.exec(base || "")?.[1];
+  if (!/^\d{4}$/.test(year) || !m || !day) return "";
+
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${year}-${pad(m)}-${pad(day)}`;
+}
+
+export function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
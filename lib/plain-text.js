@@ -0,0 +1,187 @@
+/**
+ * lib/plain-text.js
+ * -----------------
+ * text/plain alternative, rendered from the same extracted edition as the HTML
+ * (builder renderEditionText):
+ *   dist/<newsletter>/<year>/<month>/<file>.txt
+ *
+ * - sections follow their {{%TOKEN%}} order in layout.mjml
+ * - every section type may export text(data, section, ctx) -> string
+ *   (types without it, like meta-field, are left out); ctx.notes collects
+ *   the footnotes for the whole edition
+ * - links become footnotes: "Book tickets [3]" ... "[3] https://..."
+ *   (same tracked + UTM-tagged URLs as the HTML)
+ * - ads become a one-line "Sponsored" mention
+ * - footer: feedback address + unsubscribe link found in layout.mjml
+ *
+ * Section option:
+ *   "textHeading": heading used in the .txt (default label / story / heading),
+ *                  false for none (e.g. a footer banner)
+ */
+
+import * as cheerio from "cheerio";
+import { adUrl } from "./ads.js";
+import { cleanText, normalizeDashes } from "./text.js";
+import { tagUrl } from "./utm.js";
+
+const MAILTO = /href="mailto:([^"?]+)/i;
+const UNSUBSCRIBE = /href="([^"]*unsubscribe[^"]*)"/i;
+
+/** -----------------------------
+ * Document: header, section texts (already in layout order), footer, footnotes
+ * ----------------------------- */
+export function textDocument({ config, edition, layout, parts, notes }) {
+  return (
+    [
+      header(config, edition),
+      ...parts.filter(Boolean),
+      footer(layout, config),
+      notes.text(),
+    ]
+      .filter(Boolean)
+      .join("\n\n\n") + "\n"
+  );
+}
+
+function header(config, edition) {
+  const date = formatDate(edition.date);
+  return [config.name, date].filter(Boolean).join(" | ");
+}
+
+function footer(layout, config) {
+  const email = MAILTO.exec(layout)?.[1];
+  const unsubscribe = UNSUBSCRIBE.exec(layout)?.[1];
+
+  return [
+    "--",
+    config.name,
+    config.siteUrl,
+    email && `Send us your feedback at ${email}.`,
+    unsubscribe && `Unsubscribe: ${unsubscribe.replaceAll("&amp;", "&")}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// "2026-02-13" -> "13 February 2026"
+function formatDate(date) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || "");
+  if (!m) return "";
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/** -----------------------------
+ * Footnotes: one number per distinct URL
+ * ----------------------------- */
+export function createNotes() {
+  const urls = [];
+
+  return {
+    urls,
+
+    ref(url) {
+      if (!url) return "";
+      let idx = urls.indexOf(url);
+      if (idx === -1) idx = urls.push(url) - 1;
+      return `[${idx + 1}]`;
+    },
+
+    text() {
+      if (!urls.length) return "";
+      return ["Links:", ...urls.map((url, idx) => `[${idx + 1}] ${url}`)].join(
+        "\n",
+      );
+    },
+  };
+}
+
+/** -----------------------------
+ * Helpers for section text() exports
+ * ----------------------------- */
+
+// "Spotlight" -> "SPOTLIGHT\n---------"
+export function textHeading(section) {
+  const title =
+    section.textHeading ?? (section.label || section.story || section.heading);
+  if (!title) return "";
+  const line = cleanText(normalizeDashes(title)).toUpperCase();
+  return `${line}\n${"-".repeat(line.length)}`;
+}
+
+/**
+ * Inline / block HTML -> plain text
+ * - <a href> -> "label [n]" (mailto links keep the address inline); links
+ *   not tagged per item get the section's utm_content, like the HTML
+ * - <li> -> "- item", <br> -> line break
+ */
+export function htmlToText(html, ctx) {
+  if (!html) return "";
+  const $ = cheerio.load(`<root>${html}</root>`, null, false);
+
+  $("br").replaceWith("\n");
+  $("a").each((_, el) => {
+    const a = $(el);
+    const href = (a.attr("href") || "").trim().replaceAll("&amp;", "&");
+    const label = cleanText(a.text());
+
+    if (/^mailto:/i.test(href)) {
+      const address = href.replace(/^mailto:/i, "").split("?")[0];
+      if (address !== label) a.text(`${label} (${address})`);
+    } else if (/^(https?:)?\/\//i.test(href)) {
+      const url = tagUrl(href, ctx, ctx.utmContent);
+      a.text(`${label} ${ctx.notes.ref(url)}`);
+    }
+  });
+  $("li").each((_, el) => {
+    $(el).prepend("\n- ");
+  });
+
+  return normalizeDashes($("root").text())
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00A0]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Blocks ({ type, html }) or plain HTML strings -> paragraphs
+export function blocksToText(blocks, ctx) {
+  return (blocks || [])
+    .map((b) => htmlToText(typeof b === "string" ? b : b.html, ctx))
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// H3 story: title, then body
+export function storyText(story, ctx) {
+  return [cleanText(story.title), blocksToText(story.blocks, ctx)]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Heading + parts, skipping empty ones ("" when there is no content at all)
+export function textSection(section, parts) {
+  const body = parts.filter(Boolean);
+  if (!body.length) return "";
+  return [textHeading(section), ...body].filter(Boolean).join("\n\n");
+}
+
+/** -----------------------------
+ * Ads: "Sponsored: <headline> - <cta> [n]"
+ * ----------------------------- */
+export function adText(creative, ctx) {
+  if (!creative) return "";
+
+  const headline = cleanText(creative.headline);
+  const cta = cleanText(creative.ctaText) || "Learn more";
+  const ref = ctx.notes.ref(adUrl(creative, ctx));
+
+  return headline
+    ? `Sponsored: ${headline} - ${cta} ${ref}`
+    : `Sponsored: ${cta} ${ref}`;
+}
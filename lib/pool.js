@@ -0,0 +1,104 @@
+/**
+ * lib/pool.js
+ * -----------
+ * Parallel batch builds (build.js): sources are spread over `jobs` worker
+ * threads (lib/build-worker.js), one edition at a time per worker.
+ *
+ * - logs: each edition's console output is held back and printed in one
+ *   block, in source order (an edition waits for the ones before it)
+ * - results: the same summary rows as sequential builds (lib/batch.js);
+ *   every edition is built from its own files, so outputs are identical
+ */
+
+import os from "os";
+import { Worker } from "worker_threads";
+
+const WORKER_URL = new URL("./build-worker.js", import.meta.url);
+
+export function defaultJobs() {
+  return os.availableParallelism?.() || os.cpus().length || 1;
+}
+
+/**
+ * onStart(idx): before an edition's log block is printed
+ * worker: module each thread runs (default lib/build-worker.js)
+ * Returns the summary rows, in source order. A worker that dies mid-build
+ * (uncaught error, process.exit, out of memory) fails only that edition and
+ * is replaced for the rest.
+ */
+export function buildInWorkers(
+  sources,
+  {
+    jobs = defaultJobs(),
+    options = {},
+    onStart = () => {},
+    worker: workerUrl = WORKER_URL,
+  } = {},
+) {
+  const results = new Array(sources.length);
+  const logs = new Array(sources.length);
+  let next = 0;
+  let printed = 0;
+  let done = false;
+
+  return new Promise((resolve) => {
+    if (!sources.length) return resolve(results);
+    const workers = new Set();
+
+    // Print every finished edition that is next in line
+    const flush = () => {
+      while (printed < sources.length && logs[printed]) {
+        onStart(printed);
+        for (const [method, line] of logs[printed]) console[method](line);
+        printed++;
+      }
+      if (printed === sources.length && !done) {
+        done = true;
+        for (const worker of workers) worker.terminate();
+        resolve(results);
+      }
+    };
+
+    const spawn = () => {
+      const worker = new Worker(workerUrl);
+      let current = -1; // edition in flight
+
+      const startNext = () => {
+        if (next >= sources.length) return;
+        current = next++;
+        worker.postMessage({ source: sources[current], options });
+      };
+      const settle = (result, lines) => {
+        results[current] = result;
+        logs[current] = lines;
+        current = -1;
+      };
+      const crash = (reason) => {
+        if (current === -1) return;
+        const source = sources[current];
+        settle({ source, status: "failed", output: reason }, [
+          ["error", `❌ Build failed: ${source}: ${reason}`],
+        ]);
+      };
+
+      worker.on("message", ({ result, logs: lines }) => {
+        settle(result, lines);
+        startNext();
+        flush();
+      });
+      worker.on("error", (e) => crash(`worker error: ${e.message || e}`));
+      worker.on("exit", (code) => {
+        workers.delete(worker);
+        if (done) return;
+        crash(`worker exited (code ${code})`);
+        if (next < sources.length) spawn();
+        flush();
+      });
+
+      workers.add(worker);
+      startNext();
+    };
+
+    for (let i = 0; i < Math.min(jobs, sources.length); i++) spawn();
+  });
+}
@@ -0,0 +1,415 @@
+/**
+ * lib/preview.js
+ * --------------
+ * Local preview of dist/ (preview.js), on http://localhost:<port>
+ *
+ *   /                                   editions by newsletter, year, month
+ *   /view/<newsletter>/<year>/<month>/<file>
+ *                                       the email at 375px / 600px / desktop
+ *                                       width, with the build's warnings or
+ *                                       why it failed
+ *                                       (<file>.warnings.json, lib/builder.js)
+ *                                       and, side by side, the marked DOCX
+ *                                       (<file>.source.html, lib/source-review.js)
+ *   /dist/...                           the built files as they are
+ *   /events?edition=<newsletter>/<year>/<month>/<file>
+ *                                       server-sent "reload" after a rebuild
+ *
+ * Rebuilds come from build.js (node build.js --watch ... keeps them coming);
+ * the open edition reloads when its .html, source or warnings change.
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { loadNewsletterConfig } from "./config.js";
+import { MONTHS } from "./paths.js";
+import { escapeHtml } from "./text.js";
+
+const HOST = "127.0.0.1";
+const RELOAD_DEBOUNCE_MS = 200;
+const WARNINGS_SUFFIX = ".warnings.json";
+const SOURCE_SUFFIX = ".source.html";
+const WIDTHS = [
+  ["375px", "375px"],
+  ["600px", "600px"],
+  ["Desktop", "100%"],
+];
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".mjml": "text/plain; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+};
+
+/**
+ * Resolves with the listening server (closing it stops the dist/ watcher)
+ */
+export function startPreviewServer({ root = process.cwd(), port = 4000 } = {}) {
+  const distDir = path.join(root, "dist");
+  fs.mkdirSync(distDir, { recursive: true });
+
+  const clients = new Set(); // { edition, res }
+  const timers = new Map(); // edition -> pending reload
+
+  const watcher = fs.watch(distDir, { recursive: true }, (_event, file) => {
+    const edition = file && editionOf(file.split(path.sep).join("/"));
+    if (!edition) return;
+
+    clearTimeout(timers.get(edition));
+    timers.set(
+      edition,
+      setTimeout(() => {
+        timers.delete(edition);
+        for (const client of clients) {
+          if (client.edition === edition) client.res.write("data: reload\n\n");
+        }
+      }, RELOAD_DEBOUNCE_MS),
+    );
+  });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${HOST}`);
+    const route = decodePath(url.pathname);
+
+    if (route === null) return badRequest(res);
+
+    if (route === "/") return send(res, 200, indexPage(distDir, root));
+    if (route.startsWith("/view/")) {
+      const edition = route.slice("/view/".length);
+      if (!isEdition(distDir, edition)) return notFound(res);
+      return send(
+        res,
+        200,
+        viewerPage(edition, {
+          hasSource: !!resolveInside(distDir, `${edition}${SOURCE_SUFFIX}`),
+        }),
+      );
+    }
+    if (route === "/events") {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.write(": connected\n\n");
+      const client = { edition: url.searchParams.get("edition"), res };
+      clients.add(client);
+      req.on("close", () => clients.delete(client));
+      return;
+    }
+    if (route.startsWith("/dist/")) {
+      return sendFile(res, distDir, route.slice("/dist/".length));
+    }
+    return notFound(res);
+  });
+
+  server.on("close", () => {
+    watcher.close();
+    for (const timer of timers.values()) clearTimeout(timer);
+    for (const client of clients) client.res.end();
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, HOST, () => resolve(server));
+  });
+}
+
+// "london-summary/2026/feb/feb-13.html" -> "london-summary/2026/feb/feb-13"
+// (null for the other files of a build)
+function editionOf(file) {
+  for (const suffix of [WARNINGS_SUFFIX, SOURCE_SUFFIX]) {
+    if (file.endsWith(suffix)) return file.slice(0, -suffix.length);
+  }
+  return file.endsWith(".html") ? file.slice(0, -".html".length) : null;
+}
+
+function isEdition(distDir, edition) {
+  return (
+    edition.split("/").length === 4 &&
+    !!resolveInside(distDir, `${edition}.html`)
+  );
+}
+
+// null for malformed percent-encoding ("/%E0%A4%A")
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+}
+
+// Absolute path of an existing file inside dir, or null (no "..")
+function resolveInside(dir, rel) {
+  const abs = path.resolve(dir, rel);
+  if (!abs.startsWith(dir + path.sep)) return null;
+  return fs.existsSync(abs) && fs.statSync(abs).isFile() ? abs : null;
+}
+
+/** -----------------------------
+ * Responses
+ * ----------------------------- */
+function send(res, status, html) {
+  res.writeHead(status, { "Content-Type": CONTENT_TYPES[".html"] });
+  res.end(html);
+}
+
+function badRequest(res) {
+  send(
+    res,
+    400,
+    page("Bad request", '<p>Bad request. <a href="/">All editions</a></p>'),
+  );
+}
+
+function notFound(res) {
+  send(
+    res,
+    404,
+    page("Not found", '<p>Not found. <a href="/">All editions</a></p>'),
+  );
+}
+
+function sendFile(res, distDir, rel) {
+  const file = resolveInside(distDir, rel);
+  if (!file) return notFound(res);
+
+  res.writeHead(200, {
+    "Content-Type":
+      CONTENT_TYPES[path.extname(file).toLowerCase()] ||
+      "application/octet-stream",
+    "Cache-Control": "no-store",
+  });
+  fs.createReadStream(file).pipe(res);
+}
+
+/** -----------------------------
+ * Index: dist/<newsletter>/<year>/<month>/<file>.html
+ * newsletters A-Z, newest year / month / day first
+ * ----------------------------- */
+export function listEditions(distDir) {
+  const editions = [];
+  for (const newsletter of subdirs(distDir)) {
+    for (const year of subdirs(path.join(distDir, newsletter))) {
+      for (const month of subdirs(path.join(distDir, newsletter, year))) {
+        const dir = path.join(distDir, newsletter, year, month);
+        for (const file of fs.readdirSync(dir)) {
+          if (!file.endsWith(".html") || file.endsWith(SOURCE_SUFFIX)) {
+            continue;
+          }
+          const base = file.slice(0, -".html".length);
+          editions.push({ newsletter, year, month, base });
+        }
+      }
+    }
+  }
+
+  const monthIdx = (m) => MONTHS.indexOf(m.slice(0, 3).toLowerCase());
+  const byName = (a, b) => a.localeCompare(b, "en", { numeric: true });
+  return editions.sort(
+    (a, b) =>
+      a.newsletter.localeCompare(b.newsletter) ||
+      byName(b.year, a.year) ||
+      monthIdx(b.month) - monthIdx(a.month) ||
+      byName(b.base, a.base),
+  );
+}
+
+function subdirs(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && d.name !== "images")
+    .map((d) => d.name);
+}
+
+function indexPage(distDir, root) {
+  const editions = listEditions(distDir);
+  if (!editions.length) {
+    return page(
+      "Editions",
+      "<h1>Editions</h1><p>Nothing in dist/ yet: <code>node build.js --all</code></p>",
+    );
+  }
+
+  let html = "<h1>Editions</h1>";
+  let newsletter = null;
+  let month = null;
+  for (const e of editions) {
+    if (e.newsletter !== newsletter) {
+      if (month) html += "</ul>";
+      newsletter = e.newsletter;
+      month = null;
+      html += `<h2>${escapeHtml(newsletterName(e.newsletter, root))}</h2>`;
+    }
+    if (`${e.year}/${e.month}` !== month) {
+      if (month) html += "</ul>";
+      month = `${e.year}/${e.month}`;
+      html += `<h3>${escapeHtml(`${e.month} ${e.year}`)}</h3><ul>`;
+    }
+
+    const edition = `${e.newsletter}/${e.year}/${e.month}/${e.base}`;
+    const report = readWarnings(distDir, edition);
+    const count = report?.warnings.length;
+    html += `<li><a href="/view/${escapeHtml(edition)}">${escapeHtml(e.base)}</a>${
+      report?.failed ? ' <span class="failed">last build failed</span>' : ""
+    }${count ? ` <span class="count">${count} warning(s)</span>` : ""}</li>`;
+  }
+  html += "</ul>";
+
+  return page("Editions", html);
+}
+
+function newsletterName(slug, root) {
+  try {
+    return loadNewsletterConfig(slug, { root }).name;
+  } catch {
+    return slug;
+  }
+}
+
+// { failed, warnings }, null when the edition has no warnings file (built
+// before they were saved)
+function readWarnings(distDir, edition) {
+  const file = resolveInside(distDir, `${edition}${WARNINGS_SUFFIX}`);
+  if (!file) return null;
+  try {
+    const report = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { failed: report.failed || "", warnings: report.warnings || [] };
+  } catch {
+    return null;
+  }
+}
+
+/** -----------------------------
+ * Viewer
+ * ----------------------------- */
+function viewerPage(edition, { hasSource = false } = {}) {
+  const buttons = WIDTHS.map(
+    ([label, width], idx) =>
+      `<button data-width="${width}"${idx === 0 ? ' class="active"' : ""}>${label}</button>`,
+  ).join("");
+
+  const body = `
+<header>
+  <a href="/">All editions</a>
+  <strong>${escapeHtml(edition)}</strong>
+  <span class="widths">${buttons}</span>
+  <a href="/dist/${escapeHtml(edition)}.txt" target="_blank">Text</a>
+  <a href="/dist/${escapeHtml(edition)}.json" target="_blank">JSON</a>
+  <button id="toggle-source"${hasSource ? "" : ' disabled title="DOCX builds only: rebuild from the source"'}>Source</button>
+  <span id="status"></span>
+</header>
+<main>
+  <div class="source" hidden><iframe id="source"></iframe></div>
+  <div class="frame"><iframe id="email" src="/dist/${escapeHtml(edition)}.html" style="width: ${WIDTHS[0][1]}"></iframe></div>
+  <aside><h2>Warnings</h2><div id="warnings">Loading...</div></aside>
+</main>
+<script>
+  const edition = ${JSON.stringify(edition).replace(/</g, "\\u003c")};
+  const frame = document.getElementById("email");
+  const buttons = document.querySelectorAll("[data-width]");
+  const source = document.getElementById("source");
+  const sourceToggle = document.getElementById("toggle-source");
+  const sourceUrl = () => "/dist/" + edition + "${SOURCE_SUFFIX}?t=" + Date.now();
+
+  const fit = () => {
+    const doc = frame.contentDocument;
+    if (doc) frame.style.height = doc.documentElement.scrollHeight + "px";
+  };
+  frame.addEventListener("load", fit);
+
+  for (const button of buttons) {
+    button.addEventListener("click", () => {
+      for (const b of buttons) b.classList.toggle("active", b === button);
+      frame.style.width = button.dataset.width;
+      frame.style.height = "";
+      setTimeout(fit, 50);
+    });
+  }
+
+  sourceToggle.addEventListener("click", () => {
+    const box = source.parentElement;
+    box.hidden = !box.hidden;
+    sourceToggle.classList.toggle("active", !box.hidden);
+    if (!box.hidden && !source.src) source.src = sourceUrl();
+  });
+
+  async function loadWarnings() {
+    const box = document.getElementById("warnings");
+    const res = await fetch("/dist/" + edition + "${WARNINGS_SUFFIX}", { cache: "no-store" });
+    if (!res.ok) {
+      box.textContent = "No warnings file: rebuild this edition.";
+      return;
+    }
+    const { failed, warnings = [] } = await res.json();
+    box.replaceChildren();
+    if (failed) {
+      const item = document.createElement("p");
+      item.className = "failed";
+      item.textContent = "Last build failed (the email is older): " + failed;
+      box.append(item);
+    } else if (!warnings.length) {
+      box.textContent = "No warnings.";
+    }
+    for (const warning of warnings) {
+      const item = document.createElement("p");
+      item.textContent = warning;
+      box.append(item);
+    }
+  }
+
+  new EventSource("/events?edition=" + encodeURIComponent(edition)).onmessage =
+    () => {
+      frame.src = "/dist/" + edition + ".html?t=" + Date.now();
+      if (source.src) source.src = sourceUrl();
+      loadWarnings();
+      document.getElementById("status").textContent =
+        "Reloaded " + new Date().toLocaleTimeString();
+    };
+
+  loadWarnings();
+</script>`;
+
+  return page(edition, body);
+}
+
+function page(title, body) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; font: 14px/1.4 system-ui, sans-serif; color: #222; }
+  body > h1, body > h2, body > h3, body > ul, body > p { margin-left: 24px; }
+  h3 { text-transform: capitalize; color: #555; }
+  .count { color: #a15c00; font-size: 12px; }
+  .failed { color: #c00; font-size: 12px; font-weight: bold; }
+  header { display: flex; gap: 16px; align-items: center; padding: 10px 16px; background: #f3f3f3; border-bottom: 1px solid #ddd; }
+  .widths button, #toggle-source { border: 1px solid #bbb; background: #fff; padding: 4px 10px; cursor: pointer; }
+  .widths button.active, #toggle-source.active { background: #222; color: #fff; }
+  #status { margin-left: auto; color: #2a7a2a; }
+  main { display: flex; align-items: flex-start; }
+  .frame { flex: 1; padding: 16px; overflow-x: auto; }
+  iframe { display: block; margin: 0 auto; min-height: 80vh; border: 1px solid #ddd; background: #fff; }
+  .source { flex: 1; padding: 16px 0 16px 16px; }
+  .source iframe { width: 100%; height: 85vh; }
+  aside { width: 340px; padding: 0 16px; border-left: 1px solid #ddd; min-height: 80vh; }
+  aside p { margin: 0 0 8px; font-size: 12px; word-break: break-word; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
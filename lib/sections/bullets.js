@@ -0,0 +1,127 @@
+/**
+ * bullets
+ * -------
+ * "In this edition" list, rendered as arrow rows into a table template.
+ *
+ * Options:
+ *   "template": table partial with {{%ROWS%}} (default in-this-edition-table.mjml)
+ *
+ * Variants:
+ *   london       -> spaced rows, last row without bottom padding
+ *   presidential -> compact rows, indented markup
+ *   others       -> compact rows
+ */
+
+import { extractInThisEdition, inThisEditionBlocks } from "../doc-tree.js";
+import { textSection } from "../plain-text.js";
+import { cleanText, escapeHtml, hasToken } from "../text.js";
+import { pickVariant, readTemplate, warn } from "./shared.js";
+
+const TOKEN_ROWS = /\{\{\%\s*ROWS\s*\%\}\}/g;
+const DEFAULT_TEMPLATE = "in-this-edition-table.mjml";
+
+const VARIANTS = {
+  london: { row: spacedRow },
+  dubai: { row: compactRow },
+  geopolitical: { row: compactRow },
+  presidential: { row: indentedRow },
+};
+
+export function extract(tree, section) {
+  return extractInThisEdition(tree, [
+    section.heading,
+    ...(section.aliases || []),
+  ]);
+}
+
+export function sourceNodes(tree, section) {
+  return inThisEditionBlocks(tree, [
+    section.heading,
+    ...(section.aliases || []),
+  ]);
+}
+
+export function render(items, section, ctx) {
+  const { row } = pickVariant(VARIANTS, section, ctx);
+  const list = (items || []).filter(Boolean);
+
+  const rows = list.map((text, idx) => row(text, idx, list.length)).join("\n");
+  if (!rows) return "";
+
+  const templateName = section.template || DEFAULT_TEMPLATE;
+  const tpl = readTemplate(ctx.config, templateName);
+
+  if (!hasToken(TOKEN_ROWS, tpl)) {
+    warn(ctx, `Placeholder {{%ROWS%}} not found in ${templateName}`);
+  }
+
+  return tpl.replace(TOKEN_ROWS, () => rows);
+}
+
+export function text(items, section) {
+  const lines = (items || []).filter(Boolean).map((t) => `- ${cleanText(t)}`);
+  return textSection(section, [lines.join("\n")]);
+}
+
+export function describe(items) {
+  return items;
+}
+
+/** -----------------------------
+ * Rows
+ * ----------------------------- */
+function spacedRow(text, idx, total) {
+  const safe = escapeHtml(cleanText(text));
+  const isLast = idx === total - 1;
+
+  const leftTdExtra = isLast
+    ? `padding-right: 8px;`
+    : `padding-right: 8px; padding-bottom: 5px;`;
+
+  const rightTdExtra = isLast
+    ? `line-height: 1.6;`
+    : `line-height: 24px; padding-bottom: 11px;`;
+
+  return `
+<tr>
+  <td style="
+    font-size: 18px;
+    width: 20px;
+    vertical-align: top;
+    ${leftTdExtra}
+  "> → </td>
+  <td style="font-size: 16px; ${rightTdExtra}">
+    ${safe}
+  </td>
+</tr>`.trim();
+}
+
+function compactRow(text) {
+  const safe = escapeHtml(cleanText(text));
+  return `
+<tr>
+  <td style="
+    font-size: 18px;
+    width: 20px;
+    vertical-align: top;
+    padding-right: 8px;
+    line-height: 1.6;
+  "> → </td>
+  <td style="font-size: 16px; line-height: 1.6">${safe}</td>
+</tr>`.trim();
+}
+
+function indentedRow(text) {
+  const safe = escapeHtml(cleanText(text));
+  return `
+  <tr>
+    <td style="
+                font-size: 18px;
+                width: 20px;
+                vertical-align: top;
+                padding-right: 8px;
+                line-height: 1.6;
+              "> → </td>
+    <td style="font-size: 16px; line-height: 1.6">${safe}</td>
+  </tr>`.trim();
+}
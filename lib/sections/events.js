@@ -0,0 +1,224 @@
+/**
+ * events
+ * ------
+ * "What's on" listings: paragraph blocks separated by empty lines.
+ *   line 1        -> title
+ *   middle lines  -> description
+ *   last line     -> CTA text (first link in the block = CTA url, tracked as
+ *                    <section id>-<n> when the newsletter has "links")
+ *   first image in the block -> event image (placeholder when there is none)
+ *
+ * Options:
+ *   "limit": max number of events (default 3)
+ *
+ * Variants:
+ *   london -> image left, text right, dashed divider between events
+ */
+
+import * as cheerio from "cheerio";
+import { nodesOfTag } from "../doc-tree.js";
+import { trackedUrl } from "../links.js";
+import { textSection } from "../plain-text.js";
+import { tagUrl, utmContent } from "../utm.js";
+import { cleanText, escapeHtml } from "../text.js";
+import {
+  findConfiguredSection,
+  imageAlt,
+  pickVariant,
+  placeholderImage,
+  publishImage,
+} from "./shared.js";
+
+const DEFAULT_LIMIT = 3;
+
+const VARIANTS = {
+  london: { render: renderLondon },
+};
+
+export function extract(tree, section, ctx) {
+  const found = findConfiguredSection(tree, section);
+  if (!found) return [];
+
+  const lines = nodesOfTag(found.nodes, "p").map((p) => ({
+    text: cleanText(p.text()),
+    html: p.html() || "",
+  }));
+
+  // Split by empty lines
+  const blocks = [];
+  let cur = [];
+  for (const ln of lines) {
+    if (!ln.text) {
+      if (cur.length) blocks.push(cur);
+      cur = [];
+      continue;
+    }
+    cur.push(ln);
+  }
+  if (cur.length) blocks.push(cur);
+
+  const items = [];
+  for (const b of blocks.slice(0, section.limit || DEFAULT_LIMIT)) {
+    const title = b[0]?.text || "";
+    if (!title) continue;
+
+    const descLines = b.slice(1, Math.max(1, b.length - 1)).map((x) => x.text);
+    const blockHtml = b.map((x) => x.html).join("\n");
+
+    items.push({
+      title,
+      desc: descLines.join(" "),
+      ctaText: b.length >= 2 ? b[b.length - 1].text : "",
+      ctaUrl: firstHrefFromHtmlBlock(blockHtml),
+      image: publishImage(firstImgFromHtmlBlock(blockHtml), section, ctx),
+    });
+  }
+
+  return items;
+}
+
+export function render(items, section, ctx) {
+  const list = (items || []).filter(Boolean);
+  if (!list.length) return "";
+  return pickVariant(VARIANTS, section, ctx).render(list, section, ctx);
+}
+
+export function validate(items) {
+  const issues = [];
+  const warn = (message) => issues.push({ level: "warning", message });
+
+  for (const it of items) {
+    if (!it.ctaUrl) warn(`"${it.title}" has no link (CTA goes to siteUrl)`);
+    if (!it.image) warn(`"${it.title}" has no image (placeholder used)`);
+  }
+  return issues;
+}
+
+export function describe(items) {
+  return (items || []).map((x) => x.title);
+}
+
+export function text(items, section, ctx) {
+  const list = (items || []).filter(Boolean);
+  return textSection(
+    section,
+    list.map((it, idx) => {
+      const cta = `${it.ctaText || "Learn more"} ${ctx.notes.ref(eventCtaUrl(it, idx, section, ctx))}`;
+      return [it.title, it.desc, cta].filter(Boolean).join("\n");
+    }),
+  );
+}
+
+// CTA destination, UTM-tagged then tracked as <section id>-<n>
+function eventCtaUrl(it, idx, section, ctx) {
+  return trackedUrl(
+    ctx,
+    tagUrl(it.ctaUrl || ctx.config.siteUrl, ctx, utmContent(section, idx + 1)),
+    `${section.id}-${idx + 1}`,
+  );
+}
+
+function firstHrefFromHtmlBlock(html) {
+  if (!html) return "";
+  const $ = cheerio.load(`<root>${html}</root>`, null, false);
+  const a = $("a").first();
+  return a.length ? a.attr("href") || "" : "";
+}
+
+function firstImgFromHtmlBlock(html) {
+  if (!html) return null;
+  const $ = cheerio.load(`<root>${html}</root>`, null, false);
+  const img = $("img").first();
+  return img.length
+    ? { src: img.attr("src") || "", alt: img.attr("alt") || "" }
+    : null;
+}
+
+/** -----------------------------
+ * London
+ * - no dashed divider after last item
+ * ----------------------------- */
+function renderLondon(list, section, ctx) {
+  const { brandColor } = ctx.config;
+  const label = escapeHtml(section.label || section.heading);
+
+  const header = `
+<mj-section background-color="#eff1f4" padding="1px 1px 1px 1px" border-radius="10px">
+  <mj-column background-color="#fff" border-radius="10px" padding-bottom="7px">
+    <mj-text padding="20px 20px 0px 20px"
+      font-family="Austin News Text Web, TNYAdobeCaslonPro, 'Times New Roman', serif"
+      color="#000000">
+      <h2 style="font-size: 24px; line-height: 1.2; font-weight: 400; margin: 0;">${label}</h2>
+    </mj-text>
+    <mj-divider border-width="4.8px" border-color="${brandColor}" width="35px" align="left" padding="0 20px 0px 20px" />
+    <mj-spacer height="10px" />
+`;
+
+  const blocks = list
+    .map((it, idx) => {
+      const isLast = idx === list.length - 1;
+
+      const img = escapeHtml(it.image?.src || placeholderImage(ctx));
+      const imgAlt = imageAlt(it.image, it.title);
+      const title = escapeHtml(it.title || "");
+      const desc = escapeHtml(it.desc || "");
+      const ctaText = escapeHtml(it.ctaText || "Learn more");
+      const ctaUrl = escapeHtml(eventCtaUrl(it, idx, section, ctx));
+
+      const story = `
+    <mj-section padding="5px 10px 0px 10px" padding-bottom="0px !important">
+      <mj-group width="100%" padding="0px !important">
+        <mj-column width="30%" vertical-align="top" padding="0">
+          <mj-image
+            align="left"
+            src="${img}"
+            alt="${imgAlt}"
+            padding="0px"
+            border-radius="8px"
+            fluid-on-mobile="true"
+            css-class="event-image"
+            href="${ctaUrl}"
+          />
+        </mj-column>
+        <mj-column width="70%" vertical-align="top">
+          <mj-text padding="0px 15px 0px 15px" font-family="Arial" color="#000000" font-size="16px">
+            <p style="margin-bottom: 7px !important; margin-top: 6px !important; line-height: 16px;">
+              <strong>${title}</strong>
+            </p>
+            <p style="line-height: 24px">${desc}</p>
+            <p style="margin-bottom: 0px; line-height: 16px">
+              <a
+                style="${ctx.linkStyle}"
+                target="_blank"
+                href="${ctaUrl}"
+              >${ctaText}</a>
+            </p>
+          </mj-text>
+        </mj-column>
+      </mj-group>
+    </mj-section>
+`.trim();
+
+      const divider = !isLast
+        ? `
+    <mj-divider
+      border-style="dashed"
+      border-width="1px"
+      border-color="lightgrey"
+      padding="20px 22px 8px 22px"
+    />
+`.trim()
+        : "";
+
+      return [story, divider].filter(Boolean).join("\n");
+    })
+    .join("\n");
+
+  const footer = `
+  </mj-column>
+</mj-section>
+<mj-spacer height="20px" />
+`.trim();
+
+  return [header, blocks, footer].join("\n");
+}
@@ -0,0 +1,62 @@
+/**
+ * image
+ * -----
+ * The picture under an H2, before its first H3 (Dubai "Event", Geopolitical
+ * "Worldwide"), published through the image store.
+ *
+ * Options:
+ *   "href": link of the picture (default "siteUrl", "" for none)
+ *
+ * Variants:
+ *   dubai        -> tight top padding (under the Event heading)
+ *   geopolitical -> even padding (under the Worldwide heading)
+ *
+ * A section without a picture renders the placeholder (output checks report
+ * its REPLACE_ME URL); a picture without alt text is left to the audit.
+ */
+
+import { firstImage } from "../doc-tree.js";
+import { escapeHtml } from "../text.js";
+import {
+  findConfiguredSection,
+  imageAlt,
+  pickVariant,
+  placeholderImage,
+  publishImage,
+} from "./shared.js";
+
+const VARIANTS = {
+  dubai: { padding: "6px 12px 10px 12px" },
+  geopolitical: { padding: "10px 12px" },
+};
+
+export function extract(tree, section, ctx) {
+  const found = findConfiguredSection(tree, section);
+  return publishImage(firstImage(found?.intro), section, ctx);
+}
+
+// The intro block holding the picture (the one extract reads)
+export function sourceNodes(tree, section) {
+  const found = findConfiguredSection(tree, section);
+  return (found?.intro || []).filter((node) => firstImage([node])).slice(0, 1);
+}
+
+export function render(image, section, ctx) {
+  const { padding } = pickVariant(VARIANTS, section, ctx);
+  const href = section.href ?? ctx.config.siteUrl;
+
+  return `
+<mj-image
+  border-radius="10px"
+  padding="${padding}"
+  width="600px"
+  src="${escapeHtml(image?.src || placeholderImage(ctx))}"
+  alt="${imageAlt(image)}"
+  href="${escapeHtml(href)}"
+  target="_blank"
+/>`.trim();
+}
+
+export function describe(image) {
+  return image?.src ? "1 picture" : "(none)";
+}
@@ -0,0 +1,43 @@
+/**
+ * lib/sections/index.js
+ * ---------------------
+ * Section type registry. Every type module exports:
+ *
+ *   extract(tree, section, ctx) -> JSON-friendly data for the section
+ *   render(data, section, ctx)  -> MJML / HTML injected at {{%<token>%}}
+ *                                  (omitted: kept out of the email body, no
+ *                                  token needed, e.g. subject-line)
+ *   describe(data)              -> short summary for the build log
+ *   text(data, section, ctx)    -> optional, plain-text version (lib/plain-text.js)
+ *   validate(data, section, ctx, found)
+ *                               -> optional, [{ level, message }] (lib/validate.js)
+ *   sourceNodes(tree, section)  -> optional, the doc tree blocks it reads
+ *                                  (lib/source-review.js; default: every
+ *                                  block under its H2)
+ *
+ * `section` is the entry from config.json, `ctx` is { config, linkStyle }.
+ */
+
+import * as bullets from "./bullets.js";
+import * as events from "./events.js";
+import * as image from "./image.js";
+import * as job from "./job.js";
+import * as longStoryShort from "./long-story-short.js";
+import * as metaField from "./meta-field.js";
+import * as paragraphList from "./paragraph-list.js";
+import * as storyCards from "./story-cards.js";
+import * as storyList from "./story-list.js";
+import * as subjectLine from "./subject-line.js";
+
+export const SECTION_TYPES = {
+  "meta-field": metaField,
+  "subject-line": subjectLine,
+  bullets,
+  "story-cards": storyCards,
+  "story-list": storyList,
+  "paragraph-list": paragraphList,
+  image,
+  events,
+  "long-story-short": longStoryShort,
+  job,
+};
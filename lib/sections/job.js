@@ -0,0 +1,153 @@
+/**
+ * job
+ * ---
+ * Single job listing (Career):
+ *   first H3              -> job title
+ *   next 3 paragraphs     -> tags (location, type, salary...)
+ *   remaining paragraphs  -> summary / CTA, until the next H2
+ *
+ * Variants:
+ *   dubai -> title, tag pills, body paragraphs
+ */
+
+import { nodesOfTag } from "../doc-tree.js";
+import { sanitizeInlineHtml } from "../inline-html.js";
+import { blocksToText, textSection } from "../plain-text.js";
+import {
+  cleanText,
+  escapeHtml,
+  isEmptyRichText,
+  stripHtmlToText,
+} from "../text.js";
+import { findConfiguredSection, pickVariant } from "./shared.js";
+
+const TAG_COUNT = 3;
+
+const VARIANTS = {
+  dubai: { render: renderDubai },
+};
+
+export function extract(tree, section, ctx) {
+  const found = findConfiguredSection(tree, section);
+  const job = found?.stories[0];
+
+  if (!job) return { title: "", tags: [], body: [] };
+
+  // paragraphs after the job title until next H2
+  const afterTitle = found.nodes.slice(found.nodes.indexOf(job.heading) + 1);
+  const paras = nodesOfTag(afterTitle, "p")
+    .map((p) => sanitizeInlineHtml(p.html() || "", ctx))
+    .filter((cleaned) => !isEmptyRichText(cleaned));
+
+  return {
+    title: cleanText(job.title),
+    tags: paras
+      .slice(0, TAG_COUNT)
+      .map((x) => stripHtmlToText(x))
+      .filter(Boolean),
+    body: paras.slice(TAG_COUNT),
+  };
+}
+
+// The job title (first H3) and everything after it
+export function sourceNodes(tree, section) {
+  const found = findConfiguredSection(tree, section);
+  const job = found?.stories[0];
+  return job ? found.nodes.slice(found.nodes.indexOf(job.heading)) : [];
+}
+
+export function render(data, section, ctx) {
+  if (!data?.title) return "";
+  return pickVariant(VARIANTS, section, ctx).render(data, section, ctx);
+}
+
+export function text(data, section, ctx) {
+  if (!data?.title) return "";
+  return textSection(section, [
+    cleanText(data.title),
+    (data.tags || []).map(cleanText).join(" · "),
+    blocksToText(data.body, ctx),
+  ]);
+}
+
+export function validate(data) {
+  const issues = [];
+  if (data.tags.length < TAG_COUNT) {
+    issues.push({
+      level: "warning",
+      message: `${data.tags.length} of ${TAG_COUNT} tag line(s) under the job title`,
+    });
+  }
+  if (!data.body.length) {
+    issues.push({ level: "warning", message: "Job has no summary / CTA" });
+  }
+  return issues;
+}
+
+export function describe(data) {
+  return {
+    title: data?.title || "",
+    tags: (data?.tags || []).length,
+    body: (data?.body || []).length,
+  };
+}
+
+/** -----------------------------
+ * Dubai
+ * ----------------------------- */
+function renderDubai(data) {
+  const title = escapeHtml(cleanText(data.title));
+  const tags = (data.tags || []).filter(Boolean);
+  const body = (data.body || []).filter(Boolean);
+
+  const titleBlock = `
+<!-- Job Title -->
+<mj-text
+  padding="10px 12px"
+  font-family="Austin News Text Web, TNYAdobeCaslonPro, 'Times New Roman', serif"
+  color="#000000"
+>
+  <h3 style="font-size: 24px; line-height: 1.2; font-weight: 400; margin: 0;">
+    ${title}
+  </h3>
+</mj-text>`.trim();
+
+  const tagSpan = (t) =>
+    `
+<span
+  style="
+    display: inline-block;
+    background-color: #eef2f9;
+    padding: 6px 9px;
+    border-radius: 4px;
+    font-size: 14px;
+    font-weight: 500;
+    line-height: 24px;
+    margin-right: 8px;
+    margin-bottom: 10px;
+  "
+>${escapeHtml(cleanText(t))}</span>`.trim();
+
+  const tagsBlock = tags.length
+    ? `
+<!-- Tags -->
+<mj-text padding="20px 12px" font-family="Arial, regular">
+  ${tags.map(tagSpan).join("\n")}
+</mj-text>`.trim()
+    : "";
+
+  const bodyBlock = body.length
+    ? `
+<!-- Summary / CTA -->
+<mj-text padding="0px 12px 10px 12px" font-family="Arial" color="#000000">
+  ${body
+    .map(
+      (inner) =>
+        `<p style="font-size: 16px; line-height: 1.5; margin: 0 0 10px 0;">${inner}</p>`,
+    )
+    .join("\n")}
+</mj-text>`.trim()
+    : "";
+
+  return [titleBlock, tagsBlock, bodyBlock].filter(Boolean).join("\n\n");
+}
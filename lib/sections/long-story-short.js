@@ -0,0 +1,378 @@
+/**
+ * long-story-short
+ * ----------------
+ * Category digest: each H3 under the H2 is a category (Politics, Business...).
+ *
+ * Options:
+ *   "splitAfter": category that closes card #1 (london; e.g. "Business").
+ *                 Card #2 opens with the first DOCX image found from that
+ *                 category onwards (placeholder when there is none).
+ *   "template":   wrapper partial with {{%SUBTOPIC_BLOCKS%}} (presidential)
+ *   "alwaysImage": categories that always get an image slot (presidential)
+ *
+ * Variants:
+ *   london       -> bullet tables, split into two cards
+ *   presidential -> bordered paragraphs per category, divider between them
+ */
+
+import fs from "fs";
+import path from "path";
+import { firstImage, tagOf } from "../doc-tree.js";
+import { sanitizeInlineHtml } from "../inline-html.js";
+import { blocksToText, htmlToText, textSection } from "../plain-text.js";
+import {
+  cleanText,
+  escapeHtml,
+  hasToken,
+  isEmptyRichText,
+  normalizeDashes,
+} from "../text.js";
+import { tagBlocks, tagLinks, utmContent } from "../utm.js";
+import {
+  extractStories,
+  findConfiguredSection,
+  imageAlt,
+  pickVariant,
+  placeholderImage,
+  publishImage,
+  renderBlocks,
+  storyNodes,
+  validateStories,
+} from "./shared.js";
+
+const TOKEN_SUBTOPIC_BLOCKS = /\{\{\%\s*SUBTOPIC_BLOCKS\s*\%\}\}/g;
+
+const VARIANTS = {
+  london: { extract: extractLondon, render: renderLondon },
+  presidential: { extract: extractPresidential, render: renderPresidential },
+};
+
+export function extract(tree, section, ctx) {
+  return pickVariant(VARIANTS, section, ctx).extract(tree, section, ctx);
+}
+
+// Both variants read one category per H3
+export function sourceNodes(tree, section) {
+  return storyNodes(findConfiguredSection(tree, section));
+}
+
+export function render(data, section, ctx) {
+  const tagged = ctx.utm ? tagCategories(data, section, ctx) : data;
+  return pickVariant(VARIANTS, section, ctx).render(tagged, section, ctx);
+}
+
+// Category title, then "- item" lines (london) or paragraphs (presidential)
+export function text(data, section, ctx) {
+  const tagged = ctx.utm ? tagCategories(data, section, ctx) : data;
+  return textSection(
+    section,
+    (tagged?.categories || []).map((cat) => {
+      const body = cat.items
+        ? cat.items.map((html) => `- ${htmlToText(html, ctx)}`).join("\n")
+        : blocksToText(cat.blocks, ctx);
+      return [cleanText(cat.title), body].filter(Boolean).join("\n\n");
+    }),
+  );
+}
+
+// UTM content per category: "lss-business"
+function tagCategories(data, section, ctx) {
+  return {
+    ...data,
+    categories: (data?.categories || []).map((cat) => {
+      const content = utmContent(section, cat.title);
+      return {
+        ...cat,
+        items: cat.items?.map((html) => tagLinks(html, ctx, content)),
+        blocks: cat.blocks && tagBlocks(cat.blocks, ctx, content),
+      };
+    }),
+  };
+}
+
+export function validate(data, section, ctx, found) {
+  return validateStories(data.categories, found);
+}
+
+export function describe(data) {
+  return (data?.categories || []).map((c) => c.title);
+}
+
+/** -----------------------------
+ * London
+ * Card 1: heading + divider + categories up to "splitAfter" (inclusive)
+ * Card 2: image + remaining categories
+ * ----------------------------- */
+function extractLondon(tree, section, ctx) {
+  const found = findConfiguredSection(tree, section);
+  if (!found) return { categories: [], image: null };
+
+  const splitKey = (section.splitAfter || "").toLowerCase();
+  let foundSplit = false;
+  let image = null;
+
+  const categories = found.stories.map((story) => {
+    if (story.title.toLowerCase() === splitKey) foundSplit = true;
+    if (foundSplit && !image) {
+      image = publishImage(
+        firstImage([story.heading, ...story.nodes]),
+        section,
+        ctx,
+      );
+    }
+
+    const items = [];
+    for (const node of story.nodes) {
+      const tag = tagOf(node);
+      if (tag === "img") continue;
+
+      if (tag === "ul" || tag === "ol") {
+        node.find("li").each((_, li) => {
+          const clean = sanitizeInlineHtml(tree.$(li).html() || "", ctx);
+          if (!isEmptyRichText(clean)) items.push(clean);
+        });
+        continue;
+      }
+
+      if (tag === "p" && cleanText(node.text())) {
+        const itemHtml = sanitizeInlineHtml(node.html() || "", ctx);
+        if (!isEmptyRichText(itemHtml)) items.push(itemHtml);
+      }
+    }
+
+    return { title: cleanText(story.title), items };
+  });
+
+  return {
+    categories: categories.filter((c) => c.title && c.items.length),
+    image,
+  };
+}
+
+function renderLondon(data, section, ctx) {
+  const categories = data?.categories || [];
+  if (!categories.length) return "";
+
+  const { brandColor, siteUrl } = ctx.config;
+  const splitKey = (section.splitAfter || "").toLowerCase();
+  const idxSplit = categories.findIndex(
+    (c) => c.title.toLowerCase() === splitKey,
+  );
+
+  const first = idxSplit >= 0 ? categories.slice(0, idxSplit + 1) : categories;
+  const second = idxSplit >= 0 ? categories.slice(idxSplit + 1) : [];
+  const secondImage = escapeHtml(data.image?.src || placeholderImage(ctx));
+  const label = escapeHtml(section.label || section.heading);
+  const secondAlt = imageAlt(data.image, section.label || section.heading);
+
+  const card1 = `
+<mj-section background-color="#eff1f4" padding="1px 1px 1px 1px" border-radius="10px">
+  <mj-column background-color="#fff" border-radius="10px" padding="0px">
+    <mj-text padding="20px 20px 0px 20px"
+      font-family="Austin News Text Web, TNYAdobeCaslonPro, 'Times New Roman', serif"
+      color="#000000">
+      <h2 style="font-size: 24px; line-height: 1.2; font-weight: 400; margin: 0;">${label}</h2>
+    </mj-text>
+    <mj-divider border-width="4.8px" border-color="${brandColor}" width="35px" align="left" padding="0 20px 0px 20px" />
+    <mj-spacer height="30px" />
+
+    ${renderLondonCategories(first, { firstCategoryPaddingTop: "0px" })}
+
+  </mj-column>
+</mj-section>
+<mj-spacer height="20px" />
+`.trim();
+
+  if (!second.length) return card1;
+
+  const card2 = `
+<mj-section background-color="#eff1f4" padding="1px 1px 1px 1px" border-radius="10px">
+  <mj-column background-color="#fff" border-radius="10px" padding-bottom="20px">
+    <mj-image border-radius="10px 10px 0 0" padding="0" width="600px"
+      src="${secondImage}"
+      alt="${secondAlt}"
+      href="${siteUrl}" />
+    ${renderLondonCategories(second, { firstCategoryPaddingTop: "20px" })}
+  </mj-column>
+</mj-section>
+<mj-spacer height="20px" />
+`.trim();
+
+  return `${card1}\n${card2}`;
+}
+
+function renderLondonCategories(categories, { firstCategoryPaddingTop }) {
+  return categories
+    .map((sec, idx) => {
+      const title = escapeHtml(cleanText(sec.title || ""));
+      const padTop = idx === 0 ? firstCategoryPaddingTop : "20px";
+      const padBottomTable = idx === categories.length - 1 ? "5px" : "0px";
+
+      return `
+<mj-text padding="${padTop} 20px 10px 20px" font-family="Arial" color="#000000">
+  <h3 style="font-size: 20px; line-height: 1.2; font-weight: 700; margin: 0;">${title}</h3>
+</mj-text>
+${renderLondonBulletTable(sec.items || [], { paddingBottom: padBottomTable })}
+`.trim();
+    })
+    .join("\n");
+}
+
+function renderLondonBulletTable(items, { paddingBottom }) {
+  const rows = items
+    .filter(Boolean)
+    .map((html) =>
+      `
+<tr>
+  <td style="
+    font-size: 18px;
+    vertical-align: top;
+    line-height: 24px;
+    padding-bottom: 15px;
+    padding-right: 8px;
+  "> &#8226; </td>
+  <td style="
+    font-size: 16px;
+    line-height: 24px;
+    padding-bottom: 15px;
+    padding-left: 0px;
+  ">
+    ${normalizeDashes(html)}
+  </td>
+</tr>`.trim(),
+    )
+    .join("\n");
+
+  if (!rows) return "";
+
+  return `
+<mj-table
+  font-family="Arial"
+  cellpadding="0"
+  cellspacing="0"
+  padding="0px 32px ${paddingBottom} 32px"
+  style="width: 100%"
+>
+  ${rows}
+</mj-table>`.trim();
+}
+
+/** -----------------------------
+ * Presidential
+ * - image slot when the category is in "alwaysImage" or has its own <img>
+ *   (its own picture when it has one, placeholder otherwise)
+ * ----------------------------- */
+function extractPresidential(tree, section, ctx) {
+  return {
+    categories: extractStories(tree, section, ctx).map((s) => ({
+      title: s.title,
+      image: s.image,
+      blocks: s.blocks,
+    })),
+  };
+}
+
+function renderPresidential(data, section, ctx) {
+  const categories = data?.categories || [];
+  if (!categories.length) return "";
+
+  const blocks = categories
+    .map((cat, idx) =>
+      renderPresidentialCategory(cat, idx, categories.length, section, ctx),
+    )
+    .filter(Boolean)
+    .join("\n");
+
+  const tplPath = section.template
+    ? path.join(ctx.config.templateDir, section.template)
+    : "";
+
+  if (tplPath && fs.existsSync(tplPath)) {
+    const tpl = fs.readFileSync(tplPath, "utf8");
+    if (hasToken(TOKEN_SUBTOPIC_BLOCKS, tpl)) {
+      return tpl.replace(TOKEN_SUBTOPIC_BLOCKS, () => blocks);
+    }
+    return `${tpl}\n${blocks}`.trim();
+  }
+
+  return blocks;
+}
+
+function renderPresidentialCategory(cat, idx, total, section, ctx) {
+  const rawTitle = cleanText(cat.title);
+  const title = escapeHtml(rawTitle);
+  const color = ctx.config.brandColor;
+
+  const h3Block = `
+<mj-text
+  padding="${idx === 0 ? "14px 12px 0px 12px" : "0px 12px"}"
+  font-family="TNYAdobeCaslonPro, 'Times New Roman', serif;"
+  color="#000000"
+>
+  <h3
+    style="
+      font-size: 24px;
+      line-height: 1.2;
+      font-weight: 400;
+      margin-top: ${idx === 0 ? "1px" : "15px"};
+    "
+  >
+    ${title}
+  </h3>
+</mj-text>`.trim();
+
+  const alwaysImage = (section.alwaysImage || []).some(
+    (name) => name.toLowerCase() === rawTitle.toLowerCase(),
+  );
+
+  const imageBlock =
+    alwaysImage || cat.image
+      ? `
+<mj-image
+  border-radius="10px"
+  padding="0px 12px 10px 12px"
+  width="600px"
+  src="${escapeHtml(cat.image?.src || placeholderImage(ctx))}"
+  alt="${imageAlt(cat.image, cat.title)}"
+  href="${ctx.config.siteUrl}"
+/>`.trim()
+      : "";
+
+  const storyHtml = renderBlocks(cat.blocks, {
+    paragraph: (html) =>
+      `<p style="${presidentialParagraphStyle(color)}">${html}</p>`,
+    listMargin: "0 0 10px 18px",
+  }).join("\n");
+
+  const storiesBlock = storyHtml
+    ? `
+<mj-text padding="0px 12px" font-family="Roboto+Serif" color="#000000">
+  ${storyHtml}
+</mj-text>`.trim()
+    : "";
+
+  const divider =
+    idx < total - 1
+      ? `
+<mj-divider
+  border-width="1px"
+  border-style="solid"
+  border-color="lightgrey"
+  padding="0px 12px"
+/>`.trim()
+      : "";
+
+  return [h3Block, imageBlock, storiesBlock, divider]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function presidentialParagraphStyle(color) {
+  return `
+              font-size: 16px;
+              line-height: 1.5;
+              border-left: 3px solid ${color};
+              padding-left: 14px;
+              margin-bottom: 15px;
+            `.trim();
+}
@@ -0,0 +1,37 @@
+/**
+ * meta-field
+ * ----------
+ * One value read from the first non-empty paragraph under an H2
+ * (Preview text, Day, Date, Temperature, Image credits...).
+ *
+ * Options:
+ *   "format": "text" (default) -> plain text, escaped on render
+ *             "html"           -> inline HTML (links restyled), injected as-is
+ */
+
+import { firstParagraph } from "../doc-tree.js";
+import { sanitizeInlineHtml } from "../inline-html.js";
+import { cleanText, escapeHtml } from "../text.js";
+import { findConfiguredSection } from "./shared.js";
+
+export function extract(tree, section, ctx) {
+  const p = firstParagraph(findConfiguredSection(tree, section));
+  if (!p) return "";
+
+  return section.format === "html"
+    ? sanitizeInlineHtml(p.html() || "", ctx)
+    : cleanText(p.text());
+}
+
+export function sourceNodes(tree, section) {
+  return [firstParagraph(findConfiguredSection(tree, section))].filter(Boolean);
+}
+
+export function render(value, section) {
+  if (!value) return "";
+  return section.format === "html" ? value : escapeHtml(value);
+}
+
+export function describe(value) {
+  return value || "(none)";
+}
@@ -0,0 +1,129 @@
+/**
+ * paragraph-list
+ * --------------
+ * Every non-empty paragraph under an H2 (Did you know, Worldwide, Footer...).
+ *
+ * Options:
+ *   "story":           only read paragraphs under this H3 ("Where to eat?")
+ *   "limit":           keep the first N paragraphs
+ *   "boldFirstLink":   wrap the first link in <strong> (restaurant names)
+ *   "normalizeArrows": "->" / "→" become " → "
+ *   "linkStyle":       override the brand link style (e.g. white footer links)
+ *
+ * Variants:
+ *   london       -> single spaced paragraph
+ *   dubai        -> compact paragraphs
+ *   geopolitical -> paragraphs with bottom padding
+ *   inline       -> bare inline HTML joined by spaces (banner <div>s)
+ */
+
+import * as cheerio from "cheerio";
+import { findStory, nodesOfTag } from "../doc-tree.js";
+import { rewriteAnchors, unwrapDisallowedTags } from "../inline-html.js";
+import { blocksToText, textSection } from "../plain-text.js";
+import { isEmptyRichText, normalizeDashes } from "../text.js";
+import { tagLinks, utmContent } from "../utm.js";
+import { findConfiguredSection, pickVariant } from "./shared.js";
+
+const VARIANTS = {
+  london: {
+    join: "\n",
+    wrap: (html) =>
+      `<p style="font-size: 16px; line-height: 24px; margin: 0 !important">
+    ${html}
+  </p>`.trim(),
+  },
+  dubai: {
+    join: "\n",
+    wrap: (html) =>
+      `<p style="font-size: 16px; line-height: 1.5; margin: 0 0 10px 0;">${html}</p>`,
+  },
+  geopolitical: {
+    join: "\n",
+    wrap: (html) =>
+      `
+<p
+  style="
+    font-size: 16px;
+    line-height: 1.5;
+    padding-top: 0px;
+    padding-bottom: 6px;
+    margin: 0 0 10px 0;
+  "
+>
+  ${html}
+</p>`.trim(),
+  },
+  inline: {
+    join: " ",
+    wrap: (html) => html,
+  },
+};
+
+export function extract(tree, section, ctx) {
+  let found = findConfiguredSection(tree, section);
+  if (found && section.story) found = findStory(found, section.story);
+  if (!found) return [];
+
+  const items = nodesOfTag(found.nodes, "p")
+    .map((p) => paragraphHtml(p.html() || "", section, ctx))
+    .filter(Boolean);
+
+  return section.limit ? items.slice(0, section.limit) : items;
+}
+
+export function sourceNodes(tree, section) {
+  const found = findConfiguredSection(tree, section);
+  if (!found || !section.story) return found?.nodes || [];
+
+  const story = findStory(found, section.story);
+  return story ? [story.heading, ...story.nodes] : [];
+}
+
+export function render(items, section, ctx) {
+  const list = taggedItems(items, section, ctx);
+  if (!list.length) return "";
+
+  const { wrap, join } = pickVariant(VARIANTS, section, ctx);
+  return list.map(wrap).join(join);
+}
+
+export function text(items, section, ctx) {
+  return textSection(section, [
+    blocksToText(taggedItems(items, section, ctx), ctx),
+  ]);
+}
+
+function taggedItems(items, section, ctx) {
+  return (items || [])
+    .filter(Boolean)
+    .map((html, idx) => tagLinks(html, ctx, utmContent(section, idx + 1)));
+}
+
+export function describe(items) {
+  return `${(items || []).length} paragraph(s)`;
+}
+
+function paragraphHtml(htmlInner, section, ctx) {
+  const $ = cheerio.load(`<root>${htmlInner || ""}</root>`, null, false);
+
+  rewriteAnchors($, ctx.linkStyle);
+
+  if (section.boldFirstLink) {
+    const firstA = $("a").first();
+    if (firstA.length) {
+      const parentTag = (firstA.parent()[0]?.tagName || "").toLowerCase();
+      if (parentTag !== "strong" && parentTag !== "b")
+        firstA.wrap("<strong></strong>");
+    }
+  }
+
+  unwrapDisallowedTags($);
+
+  let out = normalizeDashes($("root").html()?.trim() || "");
+  if (section.normalizeArrows) {
+    out = out.replace(/\s*-\s*>/g, " → ").replace(/\s*→\s*/g, " → ");
+  }
+
+  return isEmptyRichText(out) ? "" : out;
+}
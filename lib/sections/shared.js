@@ -0,0 +1,210 @@
+/**
+ * lib/sections/shared.js
+ * ----------------------
+ * Helpers shared by the section types:
+ * - locate the configured section in the doc tree
+ * - turn story nodes into JSON-friendly blocks (sanitized HTML)
+ * - render those blocks back with per-layout paragraph/list styles
+ *
+ * Block shapes:
+ *   { type: "p", html }           -> sanitized inline HTML (no <p> wrapper)
+ *   { type: "ul" | "ol", html }   -> list outer HTML, anchors restyled
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  findSection,
+  firstImage,
+  nodesOfTag,
+  splitLeadImage,
+  tagOf,
+} from "../doc-tree.js";
+import { listHtml, sanitizeInlineHtml, styleListHtml } from "../inline-html.js";
+import { cleanText, escapeHtml, isEmptyRichText } from "../text.js";
+import { tagBlocks, tagLinks, utmContent } from "../utm.js";
+
+// Logged, and kept in the build's warnings when the builder collects them
+export function warn(ctx, problem) {
+  console.warn(`⚠️ ${problem}`);
+  ctx.problems?.push(problem);
+}
+
+/** -----------------------------
+ * Lookup
+ * ----------------------------- */
+export function findConfiguredSection(tree, section) {
+  return findSection(tree, [section.heading, ...(section.aliases || [])], {
+    prefix: section.match === "prefix",
+  });
+}
+
+// section.variant wins over the newsletter-wide "style"
+export function pickVariant(variants, section, ctx) {
+  const name = section.variant || ctx.config.style;
+  const variant = variants[name];
+  if (!variant) {
+    throw new Error(
+      `Section "${section.id}" (${section.type}) has no "${name}" variant. Expected one of: ${Object.keys(variants).join(", ")}`,
+    );
+  }
+  return variant;
+}
+
+export function readTemplate(config, name) {
+  const file = path.join(config.templateDir, name);
+  if (!fs.existsSync(file)) {
+    throw new Error(`${name} not found: ${file}`);
+  }
+  return fs.readFileSync(file, "utf8");
+}
+
+export function placeholderImage(ctx, folder = "images") {
+  return `${ctx.config.assetBaseUrl}/${folder}/REPLACE_ME.jpg`;
+}
+
+/**
+ * alt="" value of a section picture (escaped): the DOCX picture's own alt
+ * text, else the story or category title. With neither it stays empty, and
+ * the accessibility audit reports it on linked pictures.
+ */
+export function imageAlt(image, title = "") {
+  return escapeHtml(cleanText(image?.alt || "") || cleanText(title));
+}
+
+/**
+ * DOCX image -> public URL (file written by the builder's image store).
+ * Returns { src, alt } or null.
+ */
+export function publishImage(image, section, ctx) {
+  if (!image?.src) return null;
+  const src = ctx.images ? ctx.images.add(image.src, section.id) : image.src;
+  return { src, alt: image.alt || "" };
+}
+
+/** -----------------------------
+ * Blocks
+ * ----------------------------- */
+export function nodesToBlocks(nodes, ctx) {
+  const blocks = [];
+
+  for (const node of nodes || []) {
+    const tag = tagOf(node);
+
+    if (tag === "p") {
+      const html = sanitizeInlineHtml(node.html() || "", ctx);
+      if (!isEmptyRichText(html)) blocks.push({ type: "p", html });
+      continue;
+    }
+
+    if (tag === "ul" || tag === "ol") {
+      blocks.push({ type: tag, html: listHtml(node, ctx) });
+    }
+  }
+
+  return blocks;
+}
+
+// Returns one string per block (callers decide how to join)
+export function renderBlocks(blocks, { paragraph, listMargin }) {
+  return (blocks || []).map((b) =>
+    b.type === "p" ? paragraph(b.html) : styleListHtml(b.html, { listMargin }),
+  );
+}
+
+// Blocks a story section reads (sourceNodes): each H3 and what follows it,
+// not the text before the first H3
+export function storyNodes(found) {
+  return (found?.stories || []).flatMap((story) => [
+    story.heading,
+    ...story.nodes,
+  ]);
+}
+
+/** -----------------------------
+ * Stories (one per H3)
+ * - image: first picture in the story (H3 line included), published
+ * - tags: which block tags belong to a story
+ * - captions: split lead image + italic caption off the body
+ * - skipEmpty: drop stories that have no matching nodes at all
+ * - images: false for layouts that never show story pictures
+ * ----------------------------- */
+export function extractStories(
+  tree,
+  section,
+  ctx,
+  {
+    tags = ["p", "ul", "ol", "img"],
+    captions = false,
+    skipEmpty = false,
+    images = true,
+  } = {},
+) {
+  const found = findConfiguredSection(tree, section);
+
+  return (found?.stories || [])
+    .map((story) => ({ story, nodes: nodesOfTag(story.nodes, ...tags) }))
+    .filter(({ story, nodes }) => story.title && (!skipEmpty || nodes.length))
+    .map(({ story, nodes }) => {
+      if (captions) {
+        const { image, captionNode, bodyNodes } = splitLeadImage(nodes);
+        return {
+          title: story.title,
+          image: images ? publishImage(image, section, ctx) : null,
+          caption: captionNode
+            ? sanitizeInlineHtml(captionNode.html() || "", ctx)
+            : "",
+          blocks: nodesToBlocks(bodyNodes, ctx),
+        };
+      }
+
+      const image = images && firstImage([story.heading, ...story.nodes]);
+      return {
+        title: story.title,
+        image: publishImage(image, section, ctx),
+        caption: "",
+        blocks: nodesToBlocks(nodes, ctx),
+      };
+    });
+}
+
+/**
+ * validate() helper for story sections ({ level, message } list):
+ * - H3s in the DOCX that extraction dropped (no body at all)
+ * - stories without body blocks
+ * - captions: lead images without the italic caption line under them
+ */
+export function validateStories(items, found, { captions = false } = {}) {
+  const issues = [];
+  const warn = (message) => issues.push({ level: "warning", message });
+  const kept = new Set(items.map((s) => s.title));
+
+  for (const story of found?.stories || []) {
+    if (!kept.has(story.title)) warn(`Story "${story.title}" is empty`);
+  }
+  for (const story of items) {
+    if (!story.blocks?.length && !story.items?.length) {
+      warn(`Story "${story.title}" has no body`);
+    }
+    if (captions && story.image && !story.caption) {
+      warn(`Image in "${story.title}" has no caption (italic line under it)`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * UTM-tag every story's links as <section>-<n> (no-op unless ctx.utm).
+ */
+export function tagStories(stories, section, ctx) {
+  if (!ctx.utm) return stories;
+  return stories.map((story, idx) => {
+    const content = utmContent(section, idx + 1);
+    return {
+      ...story,
+      caption: tagLinks(story.caption, ctx, content),
+      blocks: tagBlocks(story.blocks, ctx, content),
+    };
+  });
+}
@@ -0,0 +1,459 @@
+/**
+ * story-cards
+ * -----------
+ * One card per H3 story (Spotlight).
+ *
+ * Options:
+ *   "label":    heading shown on the first card (defaults to "heading")
+ *   "ad":       ad partial inserted between card #1 and card #2 (e.g. "ad.mjml"),
+ *               filled with the creative booked for "adSlot" (default "primary")
+ *   "template": card partial with {{%SPOTLIGHT_HEADER%}} + {{%SPOTLIGHT_TOPIC%}}
+ *               (presidential variant)
+ *
+ * Variants:
+ *   london       -> image + title + body, spacer after each card
+ *   dubai        -> heading rule on the first card, no image
+ *   geopolitical -> heading on the first card, lead image + italic caption
+ *   presidential -> cards rendered through the "template" partial
+ */
+
+import { renderAd } from "../ads.js";
+import { adText, storyText, textSection } from "../plain-text.js";
+import { cleanText, escapeHtml, hasToken } from "../text.js";
+import {
+  extractStories,
+  findConfiguredSection,
+  imageAlt,
+  pickVariant,
+  placeholderImage,
+  renderBlocks,
+  readTemplate,
+  storyNodes,
+  tagStories,
+  validateStories,
+  warn,
+} from "./shared.js";
+
+const TOKEN_SPOTLIGHT_HEADER = /\{\{\%\s*SPOTLIGHT_HEADER\s*\%\}\}/g;
+const TOKEN_SPOTLIGHT_TOPIC = /\{\{\%\s*SPOTLIGHT_TOPIC\s*\%\}\}/g;
+
+const VARIANTS = {
+  london: {
+    stories: { tags: ["p", "ul", "ol"], skipEmpty: true },
+    render: renderLondon,
+  },
+  dubai: {
+    stories: { tags: ["p", "ul", "ol"], skipEmpty: true, images: false },
+    render: renderDubai,
+  },
+  geopolitical: {
+    stories: { captions: true },
+    render: renderGeopolitical,
+  },
+  presidential: {
+    stories: {},
+    render: renderPresidential,
+  },
+};
+
+export function extract(tree, section, ctx) {
+  const variant = pickVariant(VARIANTS, section, ctx);
+  return extractStories(tree, section, ctx, variant.stories);
+}
+
+export function sourceNodes(tree, section) {
+  return storyNodes(findConfiguredSection(tree, section));
+}
+
+export function render(stories, section, ctx) {
+  if (!stories?.length) return "";
+  const tagged = tagStories(stories, section, ctx);
+  return pickVariant(VARIANTS, section, ctx).render(tagged, section, ctx);
+}
+
+// Stories, with the ad mention after story #1 (same rule as withAd)
+export function text(stories, section, ctx) {
+  const tagged = tagStories(stories || [], section, ctx);
+  const ad = ctx.ads?.[section.adSlot || "primary"];
+
+  const blocks = [];
+  tagged.forEach((s, idx) => {
+    blocks.push(storyText(s, ctx));
+    if (idx === 0 && tagged.length > 1 && section.ad) {
+      blocks.push(adText(ad, ctx));
+    }
+  });
+  return textSection(section, blocks);
+}
+
+export function validate(stories, section, ctx, found) {
+  const variant = pickVariant(VARIANTS, section, ctx);
+  return validateStories(stories, found, variant.stories);
+}
+
+export function describe(stories) {
+  return (stories || []).map((s) => s.title);
+}
+
+function labelOf(section) {
+  return escapeHtml(section.label || section.heading);
+}
+
+function adBlock(section, ctx) {
+  if (!section.ad) return "";
+  return renderAd(ctx.ads?.[section.adSlot || "primary"], section.ad, ctx);
+}
+
+// Insert the ad AFTER card #1 (only when there is a card #2)
+function withAd(blocks, ad) {
+  return blocks.map((block, idx) =>
+    idx === 0 && blocks.length > 1 && ad ? `${block}\n${ad}` : block,
+  );
+}
+
+/** -----------------------------
+ * London
+ * - always include image (DOCX picture, else placeholder)
+ * - last paragraph gets padding-bottom: 20px & line-height: 24px
+ * ----------------------------- */
+function renderLondon(stories, section, ctx) {
+  const { siteUrl } = ctx.config;
+
+  const blocks = stories.map((s) => {
+    const title = escapeHtml(cleanText(s.title || ""));
+    const image = escapeHtml(s.image?.src || placeholderImage(ctx));
+    const bodyHtml = renderBodyLondon(s.blocks);
+
+    return `
+<mj-section background-color="#eff1f4" padding="1px 1px 1px 1px" border-radius="10px">
+  <mj-column background-color="#fff" border-radius="10px" padding="0px">
+    <mj-image
+      border-radius="10px 10px 0 0"
+      padding="0"
+      width="600px"
+      src="${image}"
+      alt="${imageAlt(s.image, s.title)}"
+      href="${siteUrl}"
+    />
+    <mj-text
+      padding="20px 20px 0px 20px"
+      font-family="Austin News Text Web, TNYAdobeCaslonPro, 'Times New Roman', serif"
+      color="#000000"
+    >
+      <h2 style="font-size: 24px; line-height: 1.2; font-weight: 400; margin: 0;">
+        ${title}
+      </h2>
+    </mj-text>
+    <mj-text padding="0px 20px 0px 20px" font-family="Arial" color="#000000">
+      ${bodyHtml}
+    </mj-text>
+  </mj-column>
+</mj-section>
+<mj-spacer height="20px" />
+`.trim();
+  });
+
+  return withAd(blocks, adBlock(section, ctx)).join("\n\n");
+}
+
+function renderBodyLondon(blocks) {
+  const parts = renderBlocks(blocks, {
+    paragraph: (html) =>
+      `<p style="font-size: 16px; line-height: 1.5; padding-top: 15px; margin: 0;">
+  ${html}
+</p>`.trim(),
+    listMargin: "12px 0 0 18px",
+  });
+
+  if (parts.length) {
+    const last = parts[parts.length - 1];
+    if (last.startsWith("<p ")) {
+      parts[parts.length - 1] = last
+        .replace("line-height: 1.5;", "line-height: 24px;")
+        .replace("margin: 0;", "padding-bottom: 20px; margin: 0;");
+    }
+  }
+
+  return parts.join("\n");
+}
+
+/** -----------------------------
+ * Dubai
+ * - heading rule only on the first card
+ * ----------------------------- */
+function renderDubai(stories, section, ctx) {
+  const accent = ctx.config.accentColor || ctx.config.brandColor;
+
+  const heading = `
+<mj-table
+  css-class="new-heading-with-border"
+  cellpadding="0"
+  cellspacing="0"
+  width="100%"
+  padding="16px 0px 12px 0px"
+>
+  <tr>
+    <td valign="middle" style="width: 12%; font-size: 0; line-height: 0; padding: 0px; mso-line-height-rule: exactly;">
+      <div style="height: 0px; border-top: 4px solid ${accent}">&nbsp;</div>
+    </td>
+    <td valign="middle" style="padding: 0 8px; text-align: center; white-space: nowrap">
+      <span style="display: inline-block; font-weight: 900; font-size: 15px; line-height: 1.2; font-family: Arial, sans-serif; color: #000000; text-transform: uppercase;">
+        ${labelOf(section)}
+      </span>
+    </td>
+    <td valign="middle" style="width: 100%; font-size: 0; line-height: 0; padding: 0px; mso-line-height-rule: exactly;">
+      <div style="height: 0px; border-top: 4px solid ${accent}">&nbsp;</div>
+    </td>
+  </tr>
+</mj-table>
+`.trim();
+
+  const blocks = stories.map((s, idx) => {
+    const title = escapeHtml(cleanText(s.title || ""));
+    const bodyHtml = renderBlocks(s.blocks, {
+      paragraph: (html) =>
+        `<p style="font-size: 16px; line-height: 1.5; margin: 0 0 10px 0;">${html}</p>`,
+      listMargin: "10px 0 0 18px",
+    }).join("\n");
+
+    return `
+<mj-section background-color="#eff1f4" padding="1px 0.5px 1px 1px" border-radius="5px">
+  <mj-column background-color="#fff" border-radius="5px" padding="0px">
+    ${idx === 0 ? heading : ""}
+
+    <mj-text
+      padding="${idx === 0 ? "10px 12px" : "16px 12px 0px 12px"}"
+      font-family="Austin News Text Web, TNYAdobeCaslonPro, 'Times New Roman', serif"
+      color="#000000"
+    >
+      <h2 style="font-size: 24px; line-height: 1.2; font-weight: 400; margin: 0;">
+        ${title}
+      </h2>
+    </mj-text>
+
+    <mj-text padding="10px 12px 16px 12px" font-family="Arial" color="#000000">
+      ${bodyHtml}
+    </mj-text>
+  </mj-column>
+</mj-section>
+<mj-spacer height="10px" />
+`.trim();
+  });
+
+  return withAd(blocks, adBlock(section, ctx)).join("\n\n");
+}
+
+/** -----------------------------
+ * Geopolitical
+ * - heading only on the first card
+ * - caption only when an italic paragraph follows the image
+ * ----------------------------- */
+function renderGeopolitical(stories, section, ctx) {
+  const color = ctx.config.brandColor;
+
+  const heading = `
+<mj-text
+  padding="16px 12px 10px 12px "
+  font-family="TNYAdobeCaslonPro, 'Times New Roman', serif;"
+  color="white"
+>
+  <h2
+    style="
+      padding-bottom: 8px;
+      color: ${color};
+      text-align: left;
+      border-bottom: 2px solid ${color};
+      font-size: 26px;
+      line-height: 1.2;
+      font-weight: 300;
+      margin: 0;
+    "
+  >
+    ${labelOf(section)}
+  </h2>
+</mj-text>
+`.trim();
+
+  const blocks = stories.map((story, idx) => {
+    const title = escapeHtml(cleanText(story.title || ""));
+
+    const titleBlock = `
+<mj-text
+  padding="10px 12px"
+  font-family="TNYAdobeCaslonPro, 'Times New Roman', serif;"
+  color="#000000"
+>
+  <h3
+    style="
+      font-size: 24px;
+      line-height: 1.2;
+      font-weight: 500;
+      margin-top: 2px !important;
+      margin: 0;
+    "
+  >
+    ${title}
+  </h3>
+</mj-text>
+`.trim();
+
+    const imageBlock = story.image
+      ? `
+<mj-image
+  border-radius="10px"
+  padding="10px 12px"
+  width="600px"
+  src="${escapeHtml(story.image.src)}"
+  alt="${imageAlt(story.image, story.title)}"
+  target="_blank"
+/>
+`.trim()
+      : "";
+
+    const captionBlock = story.caption
+      ? geopoliticalCaption(story.caption)
+      : "";
+    const bodyBlock = geopoliticalBody(story.blocks);
+
+    return `
+<mj-section background-color="#eff1f4" padding="1px 0.5px 1px 1px" border-radius="5px">
+  <mj-column background-color="#fff" border-radius="5px" padding="0px">
+    ${idx === 0 ? heading : ""}
+    ${titleBlock}
+    ${imageBlock}
+    ${captionBlock}
+    ${bodyBlock}
+  </mj-column>
+</mj-section>
+<mj-spacer height="10px" />
+`.trim();
+  });
+
+  return withAd(blocks, adBlock(section, ctx)).join("\n\n");
+}
+
+export function geopoliticalCaption(captionHtml) {
+  return `
+<mj-text padding="0px 12px" font-family="Roboto+Serif" color="#A9A7AF">
+  <p style="font-size: 12px; line-height: 1.2; color: #a9a7af; margin: 0;">
+    <i>${captionHtml}</i>
+  </p>
+</mj-text>
+`.trim();
+}
+
+export function geopoliticalBody(blocks) {
+  const bodyHtml = renderBlocks(blocks, {
+    paragraph: (html) =>
+      `<p style="font-size: 16px; line-height: 1.5; margin: 0 0 10px 0;">${html}</p>`,
+    listMargin: "10px 0 0 18px",
+  }).join("\n");
+
+  if (!bodyHtml) return "";
+
+  return `
+<mj-text padding="10px 12px" font-family="Roboto+Serif" color="#000000">
+  ${bodyHtml}
+</mj-text>
+`.trim();
+}
+
+/** -----------------------------
+ * Presidential
+ * - cards rendered through the spotlight.mjml partial
+ * - first card carries the section heading, others a spacer
+ * - ad sits between the cards as its own block
+ * ----------------------------- */
+function renderPresidential(stories, section, ctx) {
+  const templateName = section.template || "spotlight.mjml";
+  const tpl = readTemplate(ctx.config, templateName);
+  const color = ctx.config.brandColor;
+  const ad = adBlock(section, ctx);
+
+  const heading = `
+<mj-text
+  padding="16px 12px 10px 12px"
+  font-family="TNYAdobeCaslonPro, 'Times New Roman', serif;"
+  color="white"
+>
+  <h2
+    style="
+      padding-bottom: 8px;
+      color: ${color};
+      text-align: left;
+      border-bottom: 2px solid ${color};
+
+      font-size: 26px;
+      line-height: 1.2;
+      font-weight: 400;
+    "
+  >
+    ${labelOf(section)}
+  </h2>
+</mj-text>`.trim();
+
+  if (!hasToken(TOKEN_SPOTLIGHT_HEADER, tpl)) {
+    warn(ctx, `{{%SPOTLIGHT_HEADER%}} not found in ${templateName}`);
+  }
+  if (!hasToken(TOKEN_SPOTLIGHT_TOPIC, tpl)) {
+    warn(ctx, `{{%SPOTLIGHT_TOPIC%}} not found in ${templateName}`);
+  }
+
+  const outParts = [];
+
+  stories.forEach((story, idx) => {
+    const header = idx === 0 ? heading : '<mj-spacer height="10px" />';
+    const topic = renderPresidentialTopic(story, ctx);
+
+    outParts.push(
+      tpl
+        .replace(TOKEN_SPOTLIGHT_HEADER, () => header)
+        .replace(TOKEN_SPOTLIGHT_TOPIC, () => topic)
+        .trim(),
+    );
+
+    if (idx === 0 && stories.length > 1 && ad) outParts.push(ad);
+
+    if (idx < stories.length - 1) {
+      outParts.push('<mj-spacer height="10px" />');
+    }
+  });
+
+  return outParts.join("\n\n");
+}
+
+function renderPresidentialTopic(story, ctx) {
+  const title = escapeHtml(cleanText(story.title));
+
+  const titleBlock = `
+<mj-text padding="10px 12px" font-family="TNYAdobeCaslonPro, 'Times New Roman', serif;" color="#000000">
+  <h3 style="font-size: 24px; line-height: 1.2; font-weight: 400; margin-top: 2px !important; margin-bottom: 20px;">
+    ${title}
+  </h3>
+</mj-text>`.trim();
+
+  const imageBlock = `
+<mj-image
+  border-radius="10px"
+  padding="10px 12px"
+  width="600px"
+  src="${escapeHtml(story.image?.src || placeholderImage(ctx))}"
+  alt="${imageAlt(story.image, story.title)}"
+  href="${ctx.config.siteUrl}"
+/>`.trim();
+
+  const bodyHtml = renderBlocks(story.blocks, {
+    paragraph: (html) =>
+      `<p style="font-size: 16px; line-height: 1.5">${html}</p>`,
+    listMargin: "0 0 10px 18px",
+  }).join("\n");
+
+  const bodyBlock = bodyHtml
+    ? `
+<mj-text padding="10px 12px" font-family="Roboto+Serif" color="#000000">
+  ${bodyHtml}
+</mj-text>`.trim()
+    : "";
+
+  return [titleBlock, imageBlock, bodyBlock].filter(Boolean).join("\n");
+}
@@ -0,0 +1,187 @@
+/**
+ * story-list
+ * ----------
+ * H3 stories listed inside an existing card (Meanwhile, Analysis, Foundations).
+ *
+ * Variants:
+ *   dubai        -> title + paragraphs, dashed divider between stories
+ *   geopolitical -> title + lead image + italic caption + body
+ *   inline       -> plain <h3> + paragraphs, for layouts that already wrap
+ *                   the token in an <mj-text>
+ */
+
+import { storyText, textSection } from "../plain-text.js";
+import { cleanText, escapeHtml } from "../text.js";
+import {
+  extractStories,
+  findConfiguredSection,
+  imageAlt,
+  pickVariant,
+  renderBlocks,
+  storyNodes,
+  tagStories,
+  validateStories,
+} from "./shared.js";
+import { geopoliticalBody, geopoliticalCaption } from "./story-cards.js";
+
+const VARIANTS = {
+  dubai: {
+    stories: { tags: ["p"], skipEmpty: true, images: false },
+    render: renderDubai,
+  },
+  geopolitical: {
+    stories: { captions: true },
+    render: renderGeopolitical,
+  },
+  inline: {
+    stories: { images: false },
+    render: renderInline,
+  },
+};
+
+export function extract(tree, section, ctx) {
+  const variant = pickVariant(VARIANTS, section, ctx);
+  return extractStories(tree, section, ctx, variant.stories);
+}
+
+export function sourceNodes(tree, section) {
+  return storyNodes(findConfiguredSection(tree, section));
+}
+
+export function render(stories, section, ctx) {
+  const list = tagStories((stories || []).filter(Boolean), section, ctx);
+  if (!list.length) return "";
+  return pickVariant(VARIANTS, section, ctx).render(list, section, ctx);
+}
+
+export function text(stories, section, ctx) {
+  const list = tagStories((stories || []).filter(Boolean), section, ctx);
+  return textSection(
+    section,
+    list.map((s) => storyText(s, ctx)),
+  );
+}
+
+export function validate(stories, section, ctx, found) {
+  const variant = pickVariant(VARIANTS, section, ctx);
+  return validateStories(stories, found, variant.stories);
+}
+
+export function describe(stories) {
+  return (stories || []).map((s) => s.title);
+}
+
+/** -----------------------------
+ * Dubai (Meanwhile)
+ * ----------------------------- */
+function renderDubai(list) {
+  return list
+    .map((s, idx) => {
+      const title = escapeHtml(cleanText(s.title || ""));
+      const body = renderBlocks(s.blocks, {
+        paragraph: (html) =>
+          `<p style="font-size: 16px; line-height: 1.5; margin: 0 0 10px 0;">${html}</p>`,
+      }).join("\n");
+
+      const divider =
+        idx === list.length - 1
+          ? ""
+          : `
+<mj-divider
+  border-style="dashed"
+  border-width="1px"
+  border-color="lightgrey"
+  padding="0px 12px 4px 12px"
+/>`.trim();
+
+      return `
+<mj-text
+  padding="10px 12px"
+  font-family="Austin News Text Web, TNYAdobeCaslonPro, 'Times New Roman', serif"
+  color="#000000"
+>
+  <h3 style="font-size: 24px; line-height: 1.5; font-weight: 400; margin: 0;">
+    ${title}
+  </h3>
+</mj-text>
+
+<mj-text padding="10px 12px" font-family="Arial" color="#000000">
+  ${body}
+</mj-text>
+
+${divider}
+`.trim();
+    })
+    .join("\n\n");
+}
+
+/** -----------------------------
+ * Geopolitical (Foundations)
+ * ----------------------------- */
+function renderGeopolitical(list, section, ctx) {
+  return list
+    .map((story) => {
+      const title = escapeHtml(cleanText(story.title || ""));
+
+      const titleBlock = `
+<mj-text
+  padding="10px 12px"
+  font-family="TNYAdobeCaslonPro, 'Times New Roman', serif;"
+  color="#000000"
+>
+  <h3 style="font-size: 24px; line-height: 1.2; font-weight: 500; margin: 0;">
+    ${title}
+  </h3>
+</mj-text>
+`.trim();
+
+      const imageBlock = story.image
+        ? `
+<mj-image
+  border="1px solid #00000013"
+  border-radius="10px"
+  padding="10px 12px"
+  width="600px"
+  src="${escapeHtml(story.image.src)}"
+  alt="${imageAlt(story.image, story.title)}"
+  href="${ctx.config.siteUrl}"
+/>
+`.trim()
+        : "";
+
+      const captionBlock = story.caption
+        ? geopoliticalCaption(story.caption)
+        : "";
+
+      return `
+${titleBlock}
+${imageBlock}
+${captionBlock}
+${geopoliticalBody(story.blocks)}
+`.trim();
+    })
+    .join("\n\n");
+}
+
+/** -----------------------------
+ * Inline (Analysis)
+ * ----------------------------- */
+function renderInline(list) {
+  return list
+    .map((story) => {
+      const title = escapeHtml(cleanText(story.title || ""));
+      const bodyHtml = renderBlocks(story.blocks, {
+        paragraph: (html) =>
+          `<p style="font-size: 16px; line-height: 1.5; margin: 10px 0 0 0;">${html}</p>`,
+        listMargin: "10px 0 0 18px",
+      }).join("\n");
+
+      return `
+<h3 style="font-size: 24px; line-height: 1.2; font-weight: 500; margin: 0;">
+  ${title}
+</h3>
+${bodyHtml}
+`.trim();
+    })
+    .join("\n\n");
+}
@@ -0,0 +1,29 @@
+/**
+ * subject-line
+ * ------------
+ * Email subject line(s): every non-empty paragraph under the H2, as plain
+ * text. Not placed in the layout (no token, no render): the first one becomes
+ * the HTML <title> (lib/accessibility.js) and the edition JSON lists them all
+ * as A/B test variants for the ESP (lib/edition.js).
+ */
+
+import { nodesOfTag } from "../doc-tree.js";
+import { cleanText } from "../text.js";
+import { findConfiguredSection } from "./shared.js";
+
+// "A", "B", ... (one per subject line, in document order)
+export function variantId(idx) {
+  return String.fromCharCode(65 + idx);
+}
+
+export function extract(tree, section) {
+  return nodesOfTag(findConfiguredSection(tree, section)?.nodes, "p")
+    .map((p) => cleanText(p.text()))
+    .filter(Boolean);
+}
+
+export function describe(subjects) {
+  if (!subjects?.length) return "(none)";
+  if (subjects.length === 1) return subjects[0];
+  return `${subjects.length} A/B variants: ${subjects.map((s, i) => `${variantId(i)}) ${s}`).join(" | ")}`;
+}
@@ -0,0 +1,171 @@
+/**
+ * lib/size.js
+ * -----------
+ * Gmail clips emails over ~102 KB of HTML ("[Message clipped]"): everything
+ * after the cut, footer and unsubscribe link included, is hidden. The builder
+ * reports the final HTML size per section and warns above the budget.
+ *
+ * config.json (optional):
+ *   "size": { "budgetKb": 102, "minify": true }
+ *
+ * - breakdown: renderEdition wraps every section (with the ads placed around
+ *   it) in <!--size:<id>--> marks; the edition is compiled once with them
+ *   and they are stripped from the HTML written; the rest is "layout" (meta
+ *   fields like the preview text included)
+ * - inline data: images count against the budget and are reported on their
+ *   own (publish them as files instead)
+ * - minify (config or `--minify`):
+ *   - comments removed, MSO / IE conditional comments kept
+ *   - whitespace collapsed, and dropped around block / table tags
+ *   - repeated declarations inside a style="" keep only the one that applies
+ *     (styles stay inline: many clients drop <style> classes)
+ *
+ * 1 KB = 1024 bytes (UTF-8)
+ */
+
+export const DEFAULT_BUDGET_KB = 102;
+
+const SIZE_MARK = /<!--(\/?)size:([\w-]+)-->/g;
+const SIZE_MARK_LINE = /^[ \t]*<!--\/?size:[\w-]+-->\n/gm;
+const SPLIT_CONDITIONAL = /<!\[endif]-->\s*?<!--\[if mso \| IE]>/g;
+const BLOCK_TAGS =
+  "html|head|body|title|meta|link|style|table|thead|tbody|tfoot|tr|td|th|div|p|h[1-6]|ul|ol|li|center|br|hr";
+const AROUND_BLOCK_TAG = new RegExp(
+  ` ?(<\\/?(?:${BLOCK_TAGS})\\b[^>]*>) ?`,
+  "gi",
+);
+// Not "<!--[if ...]>", "<!-->" or "<!--<![endif]-->"
+const PLAIN_COMMENT = /<!--(?!\[if|>|<!\[endif)[\s\S]*?-->/g;
+const DATA_URI = /\b(?:src|background)="(data:[^"]*)"/gi;
+
+/** -----------------------------
+ * Marks
+ * ----------------------------- */
+// Surrounding whitespace stays outside the marks, where MJML trims it
+export function markSection(id, mjml) {
+  if (!mjml) return mjml;
+  const [, before, body, after] = mjml.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return `${before}<!--size:${id}-->${body}<!--/size:${id}-->${after}`;
+}
+
+export function stripSizeMarks(markup) {
+  return markup.replace(SIZE_MARK, "");
+}
+
+// Compiled HTML -> the HTML MJML gives without the marks: a mark MJML put on
+// its own line goes with the line, and the Outlook conditional comments it
+// kept apart are merged again (as mjml-core does)
+export function stripHtmlSizeMarks(html) {
+  return stripSizeMarks(html).replace(SPLIT_CONDITIONAL, "");
+}
+
+/** -----------------------------
+ * Report
+ * ----------------------------- */
+
+/**
+ * html:       the final HTML (as written)
+ * markedHtml: the same edition compiled with its size marks
+ * Returns { bytes, budget, sections: [{ id, bytes }], layout, dataUris }
+ */
+export function sizeReport(html, markedHtml, { budgetKb, minify } = {}) {
+  const bytes = byteLength(html);
+  const sections = [];
+
+  const starts = {};
+  for (const m of markedHtml.matchAll(SIZE_MARK)) {
+    const [mark, closing, id] = m;
+    if (!closing) {
+      starts[id] = m.index + mark.length;
+      continue;
+    }
+    if (starts[id] === undefined) continue;
+
+    const part = stripSizeMarks(markedHtml.slice(starts[id], m.index));
+    sections.push({
+      id,
+      bytes: byteLength(minify ? minifyHtml(part) : part),
+    });
+    delete starts[id];
+  }
+
+  const dataUris = [...html.matchAll(DATA_URI)].map((m) => m[1]);
+
+  return {
+    bytes,
+    budget: (budgetKb ?? DEFAULT_BUDGET_KB) * 1024,
+    sections,
+    layout: bytes - sections.reduce((sum, s) => sum + s.bytes, 0),
+    dataUris: {
+      count: dataUris.length,
+      bytes: dataUris.reduce((sum, uri) => sum + byteLength(uri), 0),
+    },
+  };
+}
+
+// Budget problems (empty when the email fits)
+export function sizeProblems(report) {
+  const problems = [];
+
+  if (report.bytes > report.budget) {
+    problems.push(
+      `HTML is ${formatKb(report.bytes)}, over the ${formatKb(report.budget)} budget (Gmail clips it)`,
+    );
+  }
+  if (report.dataUris.count) {
+    problems.push(
+      `${report.dataUris.count} inline data: image(s), ${formatKb(report.dataUris.bytes)}: publish them as files`,
+    );
+  }
+
+  return problems;
+}
+
+export function formatKb(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function byteLength(s) {
+  return Buffer.byteLength(s, "utf8");
+}
+
+/** -----------------------------
+ * Minify
+ * ----------------------------- */
+export function minifyHtml(html) {
+  return html
+    .replace(PLAIN_COMMENT, "")
+    .replace(/\s+/g, " ")
+    .replace(AROUND_BLOCK_TAG, "$1")
+    .replace(/\sstyle="([^"]*)"/gi, (_, css) => ` style="${compactStyle(css)}"`)
+    .trim();
+}
+
+// "color: red; margin: 0; color: blue;" -> "margin:0;color:blue"
+// (an !important declaration wins over later plain ones)
+function compactStyle(css) {
+  if (/url\(|&quot;|&#/i.test(css)) return css.trim(); // ";" inside values
+
+  const declarations = new Map();
+  for (const part of css.split(";")) {
+    const idx = part.indexOf(":");
+    if (idx === -1) continue;
+
+    const prop = part.slice(0, idx).trim().toLowerCase();
+    const value = part.slice(idx + 1).trim();
+    if (!prop || !value) continue;
+
+    const previous = declarations.get(prop);
+    if (
+      previous &&
+      /!important/i.test(previous) &&
+      !/!important/i.test(value)
+    ) {
+      continue;
+    }
+    declarations.delete(prop);
+    declarations.set(prop, value);
+  }
+
+  return [...declarations].map(([prop, value]) => `${prop}:${value}`).join(";");
+}
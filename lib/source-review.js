@@ -0,0 +1,162 @@
+/**
+ * lib/source-review.js
+ * --------------------
+ * Source review page: the Mammoth HTML of a DOCX with every block marked by
+ * the configured section that reads it (dist/<...>/<file>.source.html, shown
+ * next to the email by preview.js).
+ *
+ * - used blocks: coloured border + section id (one colour per section)
+ * - ignored blocks with text or pictures, in red with the reason:
+ *     before the first H2, under an H2 no section reads, before the first H3
+ *     of a story section, or left out by the section's own rules
+ *
+ * A section type tells which blocks it reads with sourceNodes(tree, section)
+ * (lib/sections/index.js); without it, every block under its H2 counts.
+ */
+
+import { tagOf } from "./doc-tree.js";
+import { SECTION_TYPES } from "./sections/index.js";
+import { findConfiguredSection } from "./sections/shared.js";
+import { cleanText, escapeHtml } from "./text.js";
+
+const COLORS = [
+  "#1f77b4",
+  "#2ca02c",
+  "#9467bd",
+  "#ff7f0e",
+  "#17becf",
+  "#8c564b",
+  "#e377c2",
+  "#7f7f7f",
+  "#bcbd22",
+];
+
+/**
+ * Marks the tree's own DOM (call it after extractEdition).
+ * Returns { html, ignored: [{ reason, text }] }
+ */
+export function reviewSource(tree, config, { title = "Source" } = {}) {
+  const { $ } = tree;
+  const owners = new Map(); // element -> [section id]
+  const known = new Set(); // tree sections read by a configured section
+  const colors = {};
+
+  const own = (node, id) => {
+    const el = node?.[0];
+    if (!el) return;
+    if (!owners.has(el)) owners.set(el, []);
+    if (!owners.get(el).includes(id)) owners.get(el).push(id);
+  };
+
+  config.sections.forEach((section, idx) => {
+    colors[section.id] = COLORS[idx % COLORS.length];
+    const type = SECTION_TYPES[section.type];
+    const found = findConfiguredSection(tree, section);
+    if (found) {
+      known.add(found);
+      own(found.heading, section.id);
+    }
+    const nodes = type.sourceNodes
+      ? type.sourceNodes(tree, section)
+      : found?.nodes || [];
+    for (const node of nodes) own(node, section.id);
+  });
+
+  // Owners of the block, of a wrapper around it or of anything inside it
+  const idsOf = (node) => {
+    const ids = new Set();
+    for (const el of [
+      node[0],
+      ...node.parents().get(),
+      ...node.find("*").get(),
+    ]) {
+      for (const id of owners.get(el) || []) ids.add(id);
+    }
+    return [...ids];
+  };
+
+  const ignored = [];
+  const labelled = new Set();
+  const mark = (node, reason, { inSection = true } = {}) => {
+    const ids = idsOf(node);
+    if (ids.length) {
+      const fresh = ids.filter((id) => !labelled.has(id));
+      fresh.forEach((id) => labelled.add(id));
+      node.addClass("review-used");
+      node.attr("data-review", ids.join(" "));
+      node.attr("style", `border-color: ${colors[ids[0]]}`);
+      if (fresh.length) node.attr("data-label", fresh.join(", "));
+      return;
+    }
+
+    const text = cleanText(node.text());
+    const image = tagOf(node) === "img" || node.find("img").length > 0;
+    if (!text && !image) return;
+
+    const why = !text && !inSection ? "Picture outside a section" : reason;
+    node.addClass("review-ignored");
+    node.attr("data-label", why);
+    ignored.push({ reason: why, text: text || "(picture)" });
+  };
+
+  for (const node of tree.preamble) {
+    mark(node, "Before the first Heading 2", { inSection: false });
+  }
+
+  for (const section of tree.sections) {
+    if (!known.has(section)) {
+      mark(section.heading, `No section reads Heading 2 "${section.title}"`);
+      for (const node of section.nodes) {
+        mark(node, "Under an unknown Heading 2", { inSection: false });
+      }
+      continue;
+    }
+
+    mark(section.heading);
+    for (const node of section.nodes) {
+      mark(
+        node,
+        section.stories.length && section.intro.includes(node)
+          ? "Before the first Heading 3"
+          : "Not read by its section",
+      );
+    }
+  }
+
+  return {
+    html: reviewPage(title, $("body").html() || "", config, colors),
+    ignored,
+  };
+}
+
+function reviewPage(title, body, config, colors) {
+  const legend = config.sections
+    .map(
+      (s) =>
+        `<span style="border-color: ${colors[s.id]}">${escapeHtml(s.id)}</span>`,
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; padding: 16px 24px; font: 14px/1.4 system-ui, sans-serif; color: #222; }
+  img { max-width: 100%; height: auto; }
+  .legend { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 16px; font-size: 12px; }
+  .legend span { border-left: 4px solid; padding: 0 6px; }
+  .review-used, .review-ignored { border-left: 4px solid; padding-left: 8px; }
+  .review-ignored { border-color: #d62728; background: #fdecec; }
+  [data-label]::before { content: attr(data-label); display: block; font: 11px/1.6 system-ui, sans-serif; color: #666; }
+  .review-ignored::before { color: #d62728; font-weight: bold; }
+</style>
+</head>
+<body>
+<div class="legend">${legend}<span class="review-ignored">ignored</span></div>
+${body}
+</body>
+</html>
+`;
+}
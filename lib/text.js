@@ -0,0 +1,76 @@
+/**
+ * lib/text.js
+ * -----------
+ * Plain-text + HTML string helpers shared by every newsletter builder.
+ */
+
+import * as cheerio from "cheerio";
+
+/** -----------------------------
+ * Dashes / whitespace
+ * ----------------------------- */
+export function normalizeDashes(s) {
+  return (s || "").replace(/\u2010|\u2011|\u2012|\u2013|\u2014|\u2212/g, "-");
+}
+
+export function cleanText(s) {
+  return normalizeDashes((s || "").replace(/\s+/g, " ").trim());
+}
+
+// "Politics & Crown" -> "politics-crown"
+export function slugify(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function escapeHtml(str) {
+  str = normalizeDashes(str || "");
+  return str
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+/** -----------------------------
+ * Rich text
+ * ----------------------------- */
+
+// Text content of an inline HTML fragment (no whitespace cleanup)
+export function stripHtml(html) {
+  const $ = cheerio.load(`<root>${html || ""}</root>`, null, false);
+  return $("root").text();
+}
+
+// Text content of an inline HTML fragment, cleaned
+export function stripHtmlToText(html) {
+  return cleanText(stripHtml(html));
+}
+
+// Treat "<strong></strong>", "&nbsp;" etc as empty
+export function isEmptyRichText(html) {
+  const text = stripHtml(html)
+    .replace(/\u00A0/g, " ")
+    .trim();
+  return text.length === 0;
+}
+
+/** -----------------------------
+ * Tokens
+ * ----------------------------- */
+
+// "SPOTLIGHT_SECTION" -> /{{%SPOTLIGHT_SECTION%}}/g
+export function tokenRegex(name) {
+  return new RegExp(`\\{\\{\\%\\s*${name}\\s*\\%\\}\\}`, "g");
+}
+
+// Safe .test() for /g regexes (resets lastIndex first)
+export function hasToken(re, str) {
+  re.lastIndex = 0; // IMPORTANT when /g is used
+  const found = re.test(str);
+  re.lastIndex = 0;
+  return found;
+}
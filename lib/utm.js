@@ -0,0 +1,114 @@
+/**
+ * lib/utm.js
+ * ----------
+ * Opt-in UTM tagging of outbound links (config.json "utm").
+ *
+ *   "utm": true
+ *   "utm": { "source": "london-summary", "medium": "email", "campaign": "2026-02-13" }
+ *
+ * Defaults: source = newsletter slug, medium = "email", campaign = edition date.
+ * utm_content = where the link lives: "spotlight-2", "lss-business",
+ * "whats-on-1", or the section id / "layout" for everything else.
+ * Sections name themselves by id, or by "utmContent" when set (e.g. "lss").
+ *
+ * - existing query parameters are kept as they are; a link that already has
+ *   any utm_* parameter is left alone (the set is never mixed)
+ * - skipped: mailto/tel/#anchors, merge tags (%unique_id%), unsubscribe links
+ *   and tracked short links (their destination is tagged instead)
+ */
+
+import { slugify } from "./text.js";
+
+const LINK_TAGS = new Set([
+  "a",
+  "mj-image",
+  "mj-button",
+  "mj-social-element",
+  "mj-navbar-link",
+  "mj-carousel-image",
+]);
+const HREF_IN_TAG = /<([a-z][\w-]*)\b([^>]*?\shref=)(["'])(.*?)\3/gi;
+
+/**
+ * Base params for an edition, or null when the newsletter has not opted in.
+ */
+export function utmFor(config, edition) {
+  if (!config.utm) return null;
+  const options = config.utm === true ? {} : config.utm;
+
+  return {
+    utm_source: options.source || config.slug,
+    utm_medium: options.medium || "email",
+    utm_campaign: options.campaign || edition.date || "",
+  };
+}
+
+// { utmContent: "lss" } + "Business & money" -> "lss-business-money"
+// (each part capped at a few words so run-on DOCX headings stay readable)
+const MAX_PART_WORDS = 4;
+
+export function utmContent(section, ...parts) {
+  return [section.utmContent || section.id, ...parts]
+    .map((part) => slugify(part).split("-").slice(0, MAX_PART_WORDS).join("-"))
+    .filter(Boolean)
+    .join("-");
+}
+
+/** -----------------------------
+ * Single URL
+ * ----------------------------- */
+export function tagUrl(url, ctx, content) {
+  if (!ctx.utm || !isTaggable(url, ctx)) return url;
+
+  const [withoutHash, hash = ""] = url.split(/#(.*)/s);
+  const query = withoutHash.includes("?") ? withoutHash.split("?")[1] : "";
+  const existing = [...new URLSearchParams(query).keys()];
+  if (existing.some((key) => /^utm_/i.test(key))) return url;
+
+  const params = { ...ctx.utm, utm_content: content };
+  const added = Object.entries(params)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  if (!added.length) return url;
+
+  const sep = !query ? (withoutHash.endsWith("?") ? "" : "?") : "&";
+  return `${withoutHash}${sep}${added.join("&")}${hash ? `#${hash}` : ""}`;
+}
+
+function isTaggable(url, ctx) {
+  if (!/^https?:\/\//i.test(url)) return false;
+  // ESP merge tags (%unique_id%, %campaign_id%) and unsubscribe links
+  if (/%[a-z_]+%/i.test(url) || /unsubscribe/i.test(url)) return false;
+
+  const tracked = ctx.config.links?.baseUrl;
+  return !(tracked && url.startsWith(tracked));
+}
+
+/** -----------------------------
+ * Markup: every href on <a> / mj-image / mj-button / ...
+ * ----------------------------- */
+export function tagLinks(html, ctx, content) {
+  if (!ctx.utm || !html) return html;
+
+  return html.replace(HREF_IN_TAG, (match, tag, before, quote, href) => {
+    if (!LINK_TAGS.has(tag.toLowerCase())) return match;
+
+    const url = href.trim().replaceAll("&amp;", "&");
+    const tagged = tagUrl(url, ctx, content);
+    if (tagged === url) return match;
+
+    const escaped = tagged.replace(
+      /&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi,
+      "&amp;",
+    );
+    return `<${tag}${before}${quote}${escaped}${quote}`;
+  });
+}
+
+export function tagBlocks(blocks, ctx, content) {
+  if (!ctx.utm) return blocks;
+  return (blocks || []).map((b) => ({
+    ...b,
+    html: tagLinks(b.html, ctx, content),
+  }));
+}
@@ -0,0 +1,174 @@
+/**
+ * lib/validate.js
+ * ---------------
+ * Check a DOCX against its newsletter's config.json before building.
+ *
+ * Per configured section:
+ *   - heading missing            -> error ("optional": true sections: info,
+ *                                   e.g. no "Subject line" in most documents)
+ *     with a hint: same text at the wrong heading level ("Heading 3"), or the
+ *     closest unused Heading 2 ("Spot light" -> did you mean "Spotlight"?)
+ *   - heading found, no content  -> error (optional: warning)
+ *   - type checks (validate export of the section type): stories without a
+ *     body, images without a caption, events without a link...
+ * Whole document:
+ *   - Heading 2s no section reads -> warning (their content never ships)
+ *
+ * Issues: { level: "error" | "warning" | "info", section: <id> | "", message }
+ * (info never fails validation)
+ */
+
+import { parseDocTree, findSection, headingKey, tagOf } from "./doc-tree.js";
+import { sectionContext, sourceToHtml } from "./builder.js";
+import { loadNewsletterConfig } from "./config.js";
+import { computeOutPaths } from "./paths.js";
+import { SECTION_TYPES } from "./sections/index.js";
+import { cleanText } from "./text.js";
+
+const HEADING_LEVELS = {
+  h1: "Heading 1",
+  h3: "Heading 3",
+  h4: "Heading 4",
+  p: "a normal paragraph",
+};
+const MAX_SUGGESTION_DISTANCE = 0.4; // share of the heading length
+
+/** -----------------------------
+ * Validate
+ * ----------------------------- */
+export async function validateDocx(docxPath, { root = process.cwd() } = {}) {
+  const { newsletter } = computeOutPaths(docxPath, { root });
+  const config = loadNewsletterConfig(newsletter, { root });
+  const docHtml = await sourceToHtml(docxPath, { optimize: false });
+
+  return { config, ...validateTree(parseDocTree(docHtml), config) };
+}
+
+/**
+ * Returns { sections: [{ section, data, found }], issues }
+ */
+export function validateTree(tree, config) {
+  const issues = [];
+  const sections = [];
+  const located = config.sections.map((section) => ({
+    section,
+    found: findSection(tree, [section.heading, ...(section.aliases || [])], {
+      prefix: section.match === "prefix",
+    }),
+  }));
+  const unused = tree.sections.filter(
+    (s) => !located.some(({ found }) => found === s),
+  );
+
+  for (const { section, found } of located) {
+    const type = SECTION_TYPES[section.type];
+    const ctx = sectionContext(config, section);
+    const data = type.extract(tree, section, ctx);
+    const report = (level, message) =>
+      issues.push({ level, section: section.id, message });
+    const emptyLevel = section.optional ? "warning" : "error";
+    const missingLevel = section.optional ? "info" : "error";
+
+    if (isEmptyData(data)) {
+      if (found) {
+        report(emptyLevel, `"${found.title}" is empty`);
+      } else {
+        report(missingLevel, missingMessage(tree, section, unused));
+      }
+    } else {
+      for (const issue of type.validate?.(data, section, ctx, found) || []) {
+        report(issue.level, issue.message);
+      }
+    }
+
+    sections.push({ section, data, found });
+  }
+
+  for (const s of unused) {
+    const closest = closestName(
+      s.title,
+      config.sections.map((section) => section.heading),
+    );
+    issues.push({
+      level: "warning",
+      section: "",
+      message: `Heading 2 "${s.title}" is not read by any section${closest ? ` (did you mean "${closest}"?)` : ""}`,
+    });
+  }
+
+  return { sections, issues };
+}
+
+function missingMessage(tree, section, unused) {
+  const names = [section.heading, ...(section.aliases || [])];
+  const keys = names.map(headingKey);
+  const base = `Heading 2 "${section.heading}" not found`;
+
+  // Right text, wrong style
+  const { $ } = tree;
+  const misplaced = $(Object.keys(HEADING_LEVELS).join(", "))
+    .filter((_, el) => keys.includes(headingKey($(el).text())))
+    .first();
+  if (misplaced.length) {
+    const level = HEADING_LEVELS[tagOf(misplaced)];
+    return `${base}: "${cleanText(misplaced.text())}" is ${level}, use Heading 2`;
+  }
+
+  // Closest Heading 2 that no other section reads
+  const titles = unused.map((s) => s.title);
+  const closest = names.map((name) => closestName(name, titles)).find(Boolean);
+
+  return closest ? `${base} (did you mean "${closest}"?)` : base;
+}
+
+/** -----------------------------
+ * Closest match
+ * ----------------------------- */
+export function closestName(name, candidates) {
+  const key = headingKey(name);
+  let best = null;
+  let bestScore = Infinity;
+
+  for (const candidate of candidates) {
+    const other = headingKey(candidate);
+    const score = Math.min(
+      editDistance(key, other),
+      editDistance(key.replace(/\s+/g, ""), other.replace(/\s+/g, "")),
+    );
+    if (score < bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  const limit = Math.max(1, Math.round(key.length * MAX_SUGGESTION_DISTANCE));
+  return best && bestScore <= limit ? best : null;
+}
+
+// Levenshtein distance
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    prev = cur;
+  }
+
+  return prev[b.length];
+}
+
+// "", [], { title: "", tags: [] }, { categories: [], image: null } ...
+function isEmptyData(data) {
+  if (data == null) return true;
+  if (typeof data === "string") return !data.trim();
+  if (Array.isArray(data)) return data.every(isEmptyData);
+  if (typeof data === "object") return Object.values(data).every(isEmptyData);
+  return false;
+}
@@ -0,0 +1,179 @@
+/**
+ * lib/watch.js
+ * ------------
+ * node build.js --watch <file | folder | glob | --all>
+ *
+ * Builds the editions once, then rebuilds:
+ *   - an edition when its .docx / .md changes (new files in a watched folder
+ *     or glob are picked up)
+ *   - every watched edition of a newsletter when anything under
+ *     mjml-template/<newsletter>/ changes
+ *   - every watched edition when the builder (lib/, build.js) changes
+ *
+ * Changes are debounced (Word writes several times per save); Word lock and
+ * temp files (~$feb-13.docx, ~WRL0001.tmp) and .DS_Store are ignored.
+ * Rebuilds run on new worker threads (lib/pool.js), so builder changes apply
+ * without a restart. Edition JSON inputs are not watched: builds rewrite them.
+ * Folders are watched with fs.watch({ recursive: true }): Node 20+ on Linux
+ * (package.json "engines").
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  findSources,
+  SOURCE_DIR,
+  SOURCE_EXTS,
+  summaryCounts,
+} from "./batch.js";
+import { buildInWorkers, defaultJobs } from "./pool.js";
+
+const DEBOUNCE_MS = 300;
+const TEMPLATE_DIR = "mjml-template";
+const LIB_DIR = fileURLToPath(new URL(".", import.meta.url));
+const BUILD_SCRIPT = fileURLToPath(new URL("../build.js", import.meta.url));
+const IGNORED = /^(?:~\$|~WRL|\.~lock)|^\.DS_Store$|\.tmp$/i;
+
+// Change keys: a source path, "template:<newsletter>" or "builder"
+const BUILDER = "builder";
+const templateKey = (newsletter) => `template:${newsletter}`;
+
+export function watchBuilds(
+  inputs,
+  {
+    all = false,
+    root = process.cwd(),
+    jobs = defaultJobs(),
+    options = {},
+  } = {},
+) {
+  const changes = new Set();
+  let timer = null;
+  let running = false;
+
+  const watchedSources = () =>
+    findSources(inputs, { root, all })
+      .filter((s) => !s.skipped && SOURCE_EXTS.includes(extOf(s.source)))
+      .map((s) => s.source);
+
+  const run = async (label, sources) => {
+    running = true;
+    try {
+      await rebuild(label, sources, { jobs, options });
+    } catch (e) {
+      console.error("❌ Rebuild failed:", e);
+    }
+    running = false;
+
+    if (changes.size) schedule();
+    else console.log("\n👀 Watching for changes (Ctrl+C to stop)");
+  };
+
+  const flush = () => {
+    timer = null;
+    if (running) return; // picked up when the current build ends
+
+    const changed = [...changes];
+    changes.clear();
+    const sources = affectedSources(changed, watchedSources());
+    if (sources.length) run(`Changed: ${describeChanges(changed)}`, sources);
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  };
+
+  const onChange = (toKey) => (_event, filename) => {
+    if (!filename || isIgnored(filename)) return;
+    const key = toKey(filename.split(path.sep).join("/"));
+    if (!key) return;
+    changes.add(key);
+    schedule();
+  };
+
+  watchDir(path.join(root, SOURCE_DIR), sourceKey);
+  watchDir(path.join(root, TEMPLATE_DIR), templateKeyOf);
+  watchDir(LIB_DIR, () => BUILDER);
+  fs.watch(
+    BUILD_SCRIPT,
+    onChange(() => BUILDER),
+  );
+
+  function watchDir(dir, toKey) {
+    if (fs.existsSync(dir)) fs.watch(dir, { recursive: true }, onChange(toKey));
+  }
+
+  const sources = watchedSources();
+  if (!sources.length) {
+    console.warn("⚠️ No .docx or .md to build yet");
+    console.log("\n👀 Watching for changes (Ctrl+C to stop)");
+    return;
+  }
+  run("Building", sources);
+}
+
+/** -----------------------------
+ * Changes -> editions
+ * ----------------------------- */
+
+// Word lock / temp files and Finder metadata (file name or path)
+export function isIgnored(filename) {
+  return IGNORED.test(path.basename(filename));
+}
+
+// Path under docx/ ("/" separated) -> its source key, null for other files
+export function sourceKey(file) {
+  return SOURCE_EXTS.includes(extOf(file)) ? `${SOURCE_DIR}/${file}` : null;
+}
+
+// Path under mjml-template/ -> "template:<newsletter>"
+export function templateKeyOf(file) {
+  return templateKey(file.split("/")[0]);
+}
+
+// Watched sources ("docx/<newsletter>/...") to rebuild for these change keys
+export function affectedSources(changed, sources) {
+  return sources.filter((source) =>
+    changed.some(
+      (key) =>
+        key === BUILDER ||
+        key === source ||
+        key === templateKey(source.split("/")[1]),
+    ),
+  );
+}
+
+async function rebuild(label, sources, { jobs, options }) {
+  console.log(`\n👀 ${label} -> ${sources.length} edition(s)`);
+  const started = Date.now();
+
+  const results = await buildInWorkers(sources, {
+    jobs: Math.min(jobs, sources.length),
+    options,
+    onStart: (idx) => console.log(`\n📄 ${sources[idx]}`),
+  });
+
+  const failed = results.some((r) => r.status === "failed");
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  console.log(
+    `${failed ? "❌" : "✅"} ${summaryCounts(results)} in ${seconds}s`,
+  );
+}
+
+function describeChanges(keys) {
+  return keys
+    .map((key) =>
+      key === BUILDER
+        ? "builder code"
+        : key.startsWith("template:")
+          ? `${TEMPLATE_DIR}/${key.slice("template:".length)}/`
+          : key,
+    )
+    .join(", ");
+}
+
+function extOf(file) {
+  return path.extname(file).toLowerCase();
+}
@@ -0,0 +1,36 @@
+/**
+ * preview.js
+ * Usage:
+ *   node preview.js               (http://localhost:4000)
+ *   node preview.js --port 5000
+ *
+ * Serves dist/ with an index of every built edition, a width toggle
+ * (375px / 600px / desktop) and the build's warnings (lib/preview.js).
+ * The open edition reloads after each rebuild; keep them coming with:
+ *   node build.js --watch "docx/london-summary/2026/feb/feb-13.docx"
+ */
+
+import { startPreviewServer } from "./lib/preview.js";
+
+const DEFAULT_PORT = 4000;
+
+const args = process.argv.slice(2);
+const portIdx = args.indexOf("--port");
+const port = portIdx === -1 ? DEFAULT_PORT : Number(args[portIdx + 1]);
+
+if (!Number.isInteger(port) || port < 0) {
+  console.error("Usage: node preview.js [--port <port>]");
+  process.exit(1);
+}
+
+startPreviewServer({ port })
+  .then((server) => {
+    console.log(`👀 Preview on http://localhost:${server.address().port}`);
+  })
+  .catch((e) => {
+    console.error(
+      "❌ Preview failed:",
+      e.code === "EADDRINUSE" ? `port ${port} is in use (--port)` : e,
+    );
+    process.exit(1);
+  });
@@ -0,0 +1,162 @@
+/**
+ * test/accessibility.test.js
+ * --------------------------
+ * Fixes and report of lib/accessibility.js on hand-written markup, and the
+ * alt text section pictures hand it.
+ */
+
+import assert from "node:assert/strict";
+import mjml2html from "mjml";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import {
+  auditAccessibility,
+  contrastRatio,
+  fixHtml,
+  fixMjml,
+} from "../lib/accessibility.js";
+import { sectionContext } from "../lib/builder.js";
+import { loadNewsletterConfig } from "../lib/config.js";
+import { SECTION_TYPES } from "../lib/sections/index.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+const config = { name: "London Summary", lang: "en-GB" };
+
+describe("fixes", () => {
+  test("lang and title from the preview text", () => {
+    const mjml = fixMjml("<mjml>\n  <mj-head>\n  </mj-head>\n</mjml>", config, {
+      sections: { "preview-text": "Book crawl & more" },
+    });
+
+    assert.match(mjml, /<mjml lang="en-GB">/);
+    assert.match(mjml, /<mj-title>Book crawl &amp; more<\/mj-title>/);
+  });
+
+  test("title from the subject line (variant A) first", () => {
+    const mjml = fixMjml("<mjml><mj-head></mj-head></mjml>", config, {
+      sections: {
+        "subject-line": ["Ice rink opens", "Skate season"],
+        "preview-text": "Book crawl",
+      },
+    });
+
+    assert.match(mjml, /<mj-title>Ice rink opens<\/mj-title>/);
+  });
+
+  test("layout lang and title are kept", () => {
+    const mjml =
+      '<mjml lang="fr"><mj-head><mj-title>Bonjour</mj-title></mj-head></mjml>';
+
+    assert.equal(fixMjml(mjml, config, { sections: {} }), mjml);
+  });
+
+  test("title falls back to the newsletter name", () => {
+    const mjml = fixMjml("<mjml><mj-body></mj-body></mjml>", config, {
+      sections: {},
+    });
+
+    assert.match(mjml, /<mj-head><mj-title>London Summary<\/mj-title>/);
+  });
+
+  test("tables without a role become presentation tables", () => {
+    const { html, fixed } = fixHtml(
+      '<table><tr><td></td></tr></table><table role="presentation"></table>',
+    );
+
+    assert.equal(fixed, 1);
+    assert.equal(html.match(/role="presentation"/g).length, 2);
+  });
+});
+
+describe("report", () => {
+  test("alt text", () => {
+    const problems = auditAccessibility(`
+      <img src="https://x.com/a.png" alt="REPLACE_ME">
+      <img src="https://x.com/b.png">
+      <a href="https://x.com"><img src="https://x.com/c.png" alt=""></a>
+      <img src="https://x.com/pixel.gif" alt="">
+      <img src="https://x.com/d.png" alt="Big Ben at night">`);
+
+    assert.deepEqual(problems, [
+      'Placeholder alt text "REPLACE_ME": a.png',
+      "Image without alt text: b.png",
+      "Linked image without alt text: c.png",
+    ]);
+  });
+
+  test("skipped heading levels", () => {
+    const problems = auditAccessibility(
+      "<h2>Spotlight</h2><h3>Story</h3><h2>What's on</h2><h4>Event</h4>",
+    );
+
+    assert.deepEqual(problems, ['Heading skips from h2 to h4: "Event"']);
+  });
+
+  test("contrast, with see-through text blended over its background", () => {
+    const problems = auditAccessibility(`
+      <div style="background-color: #102341">
+        <p style="color: #ffffffcc">Readable</p>
+        <p style="color: #333333">Too dark</p>
+        <p style="font-size: 26px; color: #6a7fa0">Large enough</p>
+      </div>
+      <p style="color: rgba(0, 0, 0, 0.3)">Faint</p>
+      <div style="display: none; color: #ffffff">Preview text</div>`);
+
+    assert.equal(problems.length, 2);
+    assert.match(problems[0], /#333333 on #102341, e.g. "Too dark"/);
+    assert.match(problems[1], /#b3b3b3 on #ffffff, e.g. "Faint"/);
+  });
+
+  test("contrast ratio", () => {
+    assert.equal(contrastRatio([0, 0, 0], [255, 255, 255]), 21);
+    assert.equal(contrastRatio([128, 1, 31], [128, 1, 31]), 1);
+  });
+});
+
+describe("section pictures", () => {
+  const london = loadNewsletterConfig("london-summary", { root: ROOT });
+  const section = london.sections.find((s) => s.id === "long-story-short");
+  const categories = ["Business", "Culture"].map((title) => ({
+    title,
+    items: ["Item"],
+  }));
+  const renderLss = (image) =>
+    SECTION_TYPES[section.type].render(
+      { categories, image },
+      section,
+      sectionContext(london, section),
+    );
+
+  test("use the DOCX picture's own alt text", () => {
+    const mjml = renderLss({ src: "https://x.com/a.jpg", alt: "Tower Bridge" });
+
+    assert.match(mjml, /alt="Tower Bridge"/);
+  });
+
+  test("fall back to the section title without one", () => {
+    for (const image of [null, { src: "https://x.com/a.jpg", alt: "" }]) {
+      const mjml = renderLss(image);
+
+      assert.match(mjml, /alt="Long story short"/);
+      assert.doesNotMatch(mjml, /REPLACE_ME"/);
+    }
+  });
+
+  test("leave a picture with neither for the audit to report", () => {
+    const config = loadNewsletterConfig("geopolitical-summary", { root: ROOT });
+    const worldwide = config.sections.find((s) => s.id === "worldwide-image");
+    const mjml = SECTION_TYPES.image.render(
+      { src: "https://x.com/a.jpg", alt: "" },
+      worldwide,
+      sectionContext(config, worldwide),
+    );
+    const { html } = mjml2html(
+      `<mjml><mj-body><mj-section><mj-column>${mjml}</mj-column></mj-section></mj-body></mjml>`,
+    );
+
+    assert.deepEqual(auditAccessibility(html), [
+      "Linked image without alt text: a.jpg",
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * test/ads.test.js
+ * ----------------
+ * lib/ads.js: bookings.csv parsing, and bookings that cannot be placed are
+ * reported instead of dropped.
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { parseCsv, pickAds } from "../lib/ads.js";
+import { loadNewsletterConfig } from "../lib/config.js";
+import { quietly } from "./helpers.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+/** -----------------------------
+ * parseCsv
+ * ----------------------------- */
+describe("parseCsv", () => {
+  test("keeps commas inside quoted fields", () => {
+    const [row] = parseCsv(
+      'newsletter,headline\ndubai-summary,"Laundry, dry cleaning"\n',
+    );
+
+    assert.equal(row.headline, "Laundry, dry cleaning");
+  });
+
+  test("keeps line breaks inside quoted fields", () => {
+    const rows = parseCsv(
+      'newsletter,body\r\ndubai-summary,"First\n\nSecond"\r\nlondon-summary,Third\r\n',
+    );
+
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].body, "First\n\nSecond");
+    assert.equal(rows[1].body, "Third");
+  });
+
+  test('turns "" into a quote', () => {
+    const [row] = parseCsv('headline,alt\n"The ""best"" brunch",""\n');
+
+    assert.equal(row.headline, 'The "best" brunch');
+    assert.equal(row.alt, "");
+  });
+
+  test("ignores a byte order mark", () => {
+    const [row] = parseCsv("\uFEFFnewsletter,date\ndubai-summary,2026-02-05");
+
+    assert.deepEqual(Object.keys(row), ["newsletter", "date"]);
+    assert.equal(row.date, "2026-02-05");
+  });
+});
+
+/** -----------------------------
+ * pickAds
+ * ----------------------------- */
+describe("pickAds", () => {
+  const config = loadNewsletterConfig("presidential-summary", { root: ROOT });
+  const date = "2026-02-10";
+  const booking = (fields) => ({
+    newsletter: "presidential-summary",
+    date,
+    slot: "primary",
+    ...fields,
+  });
+
+  test("reports a booking for a slot the newsletter does not have", () => {
+    const problems = [];
+    quietly(() =>
+      pickAds({
+        bookings: [booking({ slot: "secondary", headline: "Sold" })],
+        config,
+        date,
+        problems,
+      }),
+    );
+
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /"Sold": slot "secondary" is not declared/);
+  });
+
+  test("reports a second booking for the same slot", () => {
+    const problems = [];
+    const ads = quietly(() =>
+      pickAds({
+        bookings: [
+          booking({ headline: "First" }),
+          booking({ headline: "Second" }),
+        ],
+        config,
+        date,
+        problems,
+      }),
+    );
+
+    assert.equal(ads.primary.headline, "First");
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /"Second" dropped for "First"/);
+  });
+
+  test("reports a booking for an unknown newsletter", () => {
+    const problems = [];
+    quietly(() =>
+      pickAds({
+        bookings: [booking({ newsletter: "presidental-summary" })],
+        config,
+        date,
+        newsletters: ["presidential-summary"],
+        problems,
+      }),
+    );
+
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /unknown newsletter "presidental-summary"/);
+  });
+});
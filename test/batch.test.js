@@ -0,0 +1,85 @@
+/**
+ * test/batch.test.js
+ * ------------------
+ * Source discovery and summary of lib/batch.js in a temp docx/ tree.
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { findSources, summaryCounts, summaryTable } from "../lib/batch.js";
+
+let root;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "batch-test-"));
+  const files = [
+    "mjml-template/london-summary/config.json",
+    "docx/london-summary/2026/feb/feb-9.docx",
+    "docx/london-summary/2026/feb/feb-10.docx",
+    "docx/london-summary/2026/feb/feb-10.md",
+    "docx/london-summary/2026/feb/feb-11.md",
+    "docx/london-summary/2026/feb/~$feb-11.docx",
+    "docx/london-summary/2026/feb/notes.txt",
+    "docx/other-summary/2026/feb/feb-9.docx",
+  ];
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), "");
+  }
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const skipped = (sources) =>
+  Object.fromEntries(sources.map((s) => [s.source, s.skipped]));
+
+describe("sources", () => {
+  test("a folder: sources in name order, with skip reasons", () => {
+    const sources = findSources(["docx/london-summary/2026/feb"], { root });
+
+    assert.deepEqual(skipped(sources), {
+      "docx/london-summary/2026/feb/feb-9.docx": "",
+      "docx/london-summary/2026/feb/feb-10.docx": "",
+      "docx/london-summary/2026/feb/feb-10.md": "feb-10.docx wins",
+      "docx/london-summary/2026/feb/feb-11.md": "",
+      "docx/london-summary/2026/feb/~$feb-11.docx": "Word lock file",
+    });
+  });
+
+  test("globs, --all and named files", () => {
+    const glob = findSources(["docx/*/2026/**/feb-9.docx"], { root });
+    const all = findSources([], { root, all: true });
+    const named = findSources(["./dist/london-summary/2026/feb/feb-9.json"], {
+      root,
+    });
+
+    assert.deepEqual(skipped(glob), {
+      "docx/london-summary/2026/feb/feb-9.docx": "",
+      "docx/other-summary/2026/feb/feb-9.docx": 'no config for "other-summary"',
+    });
+    assert.equal(all.length, 6);
+    assert.deepEqual(skipped(named), {
+      "dist/london-summary/2026/feb/feb-9.json": "",
+    });
+  });
+});
+
+test("summary table and counts", () => {
+  const results = [
+    { source: "a.docx", status: "built", warnings: 12, output: "a.html" },
+    { source: "bb.docx", status: "failed", output: "Strict build" },
+  ];
+
+  assert.equal(
+    summaryTable(results),
+    [
+      "Status  Source   Warnings  Output",
+      "built   a.docx         12  a.html",
+      "failed  bb.docx         -  Strict build",
+    ].join("\n"),
+  );
+  assert.equal(summaryCounts(results), "1 built, 1 failed");
+});
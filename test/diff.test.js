@@ -0,0 +1,121 @@
+/**
+ * test/diff.test.js
+ * -----------------
+ * lib/diff.js: section-level content changes between two edition JSONs and
+ * tag-level markup changes, whitespace ignored.
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { loadNewsletterConfig } from "../lib/config.js";
+import { diffEditions, diffMarkup } from "../lib/diff.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const config = loadNewsletterConfig("london-summary", { root: ROOT });
+
+const story = (title, html = "Body") => ({
+  title,
+  image: null,
+  caption: "",
+  blocks: [{ type: "p", html }],
+});
+
+// Edition JSON with just the given section data and ads
+function edition(data, ads = {}) {
+  const sections = Object.fromEntries(
+    Object.entries(data).map(([id, value]) => [id, { data: value }]),
+  );
+  return { sections, ads };
+}
+
+/** -----------------------------
+ * Content
+ * ----------------------------- */
+describe("diffEditions", () => {
+  test("names the story whose title changed", () => {
+    const before = edition({ spotlight: [story("One"), story("Two")] });
+    const after = edition({ spotlight: [story("One"), story("Deux")] });
+
+    assert.deepEqual(diffEditions(before, after, config), [
+      "Spotlight #2 title changed",
+    ]);
+  });
+
+  test("counts items a category gained", () => {
+    const lss = (items) => ({
+      categories: [{ title: "Business", items }],
+      image: null,
+    });
+    const before = edition({ "long-story-short": lss(["Rates hold"]) });
+    const after = edition({
+      "long-story-short": lss(["Rates hold", "Pound rises"]),
+    });
+
+    assert.deepEqual(diffEditions(before, after, config), [
+      "Long story short Business gained 1 item",
+    ]);
+  });
+
+  test("tells a link change from a text change", () => {
+    const link = (href) => `Read <a href="${href}">more</a>`;
+    const ad = (ctaUrl) => ({ primary: { slot: "primary", ctaUrl } });
+    const before = edition(
+      { spotlight: [story("One", link("https://a.com"))] },
+      ad("https://ads.com/a"),
+    );
+    const after = edition(
+      { spotlight: [story("One", link("https://b.com"))] },
+      ad("https://ads.com/b"),
+    );
+
+    assert.deepEqual(diffEditions(before, after, config), [
+      "Spotlight #1 body paragraph 1 link changed",
+      "Ad (primary) link changed",
+    ]);
+  });
+
+  test("ignores whitespace-only changes", () => {
+    const before = edition({ spotlight: [story("One", "Big  news\n today")] });
+    const after = edition({ spotlight: [story("One", "Big news today")] });
+
+    assert.deepEqual(diffEditions(before, after, config), []);
+  });
+
+  test("reports added and removed sections", () => {
+    const before = edition({ "did-you-know": ["Fact"] });
+    const after = edition({ spotlight: [story("One")] });
+
+    assert.deepEqual(diffEditions(before, after, config), [
+      "Spotlight added",
+      "Did you know removed",
+    ]);
+  });
+});
+
+/** -----------------------------
+ * Markup
+ * ----------------------------- */
+describe("diffMarkup", () => {
+  test("locates a change by the text before it", () => {
+    const hunks = diffMarkup(
+      "<h2>What's on</h2><p>Old show</p>",
+      "<h2>What's on</h2><p>New show</p>",
+    );
+
+    assert.deepEqual(hunks, [
+      { near: "What's on", removed: ["Old show"], added: ["New show"] },
+    ]);
+  });
+
+  test("ignores whitespace-only changes", () => {
+    const hunks = diffMarkup(
+      "<p>\n  Old   show\n</p>",
+      '<p>Old show</p>\n<img src="a.jpg" />',
+    );
+
+    assert.deepEqual(hunks, [
+      { near: "Old show", removed: [], added: ['<img src="a.jpg" />'] },
+    ]);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * test/edition.test.js
+ * --------------------
+ * Edition JSON (lib/edition.js): the documented fields of a DOCX build's
+ * JSON, rebuilding from it gives the same email, and a section left out of
+ * the JSON renders empty.
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { buildFromDocx, buildFromEditionJson } from "../lib/builder.js";
+import { loadNewsletterConfig } from "../lib/config.js";
+import { quietly } from "./helpers.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const OUTPUT_EXTS = [".mjml", ".html", ".txt"];
+
+const FIXTURES = [
+  "london-summary/2026/feb/feb-13.docx",
+  "dubai-summary/2026/feb/feb-10.docx",
+  "geopolitical-summary/2026/feb/feb-9.docx",
+  "presidential-summary/2026/feb/feb-6.docx",
+];
+
+// Temp root: mjml-template/ (linked), the fixture ads/ and the fixtures
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "edition-test-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+fs.symlinkSync(
+  path.join(ROOT, "mjml-template"),
+  path.join(root, "mjml-template"),
+);
+fs.symlinkSync(
+  path.join(ROOT, "test", "fixtures", "ads"),
+  path.join(root, "ads"),
+);
+for (const rel of FIXTURES) {
+  const target = path.join(root, "docx", rel);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(path.join(ROOT, "docx", rel), target);
+}
+
+// Output files of a build, by extension
+function readOutputs(out) {
+  const base = out.outHtmlPath.slice(0, -".html".length);
+  return Object.fromEntries(
+    OUTPUT_EXTS.map((ext) => [ext, fs.readFileSync(base + ext, "utf8")]),
+  );
+}
+
+test("documented fields", async () => {
+  const built = await quietly(() =>
+    buildFromDocx(path.join(root, "docx", FIXTURES[0]), { root }),
+  );
+  const json = JSON.parse(fs.readFileSync(built.outJsonPath, "utf8"));
+  const config = loadNewsletterConfig("london-summary", { root });
+
+  assert.deepEqual(Object.keys(json), [
+    "schemaVersion",
+    "newsletter",
+    "name",
+    "date",
+    "subject",
+    "subjectVariants",
+    "previewText",
+    "inThisEdition",
+    "ads",
+    "sections",
+  ]);
+  assert.equal(json.schemaVersion, 1);
+  assert.equal(json.newsletter, "london-summary");
+  assert.equal(json.name, "London Summary");
+  assert.equal(json.date, "2026-02-13");
+  assert.equal(json.subject, "");
+  assert.deepEqual(json.subjectVariants, []);
+  assert.equal(json.previewText, "Book crawl returns");
+  assert.deepEqual(json.inThisEdition, [
+    "Alien cocktails",
+    "Schroders sells",
+    "Most expensive phone call",
+  ]);
+
+  // Unsold slot: the house ad, with every documented field
+  assert.deepEqual(Object.keys(json.ads.primary), [
+    "slot",
+    "house",
+    "label",
+    "headline",
+    "body",
+    "image",
+    "alt",
+    "ctaText",
+    "ctaUrl",
+    "creative",
+  ]);
+  assert.equal(json.ads.primary.house, true);
+
+  // Every configured section, in config.json order
+  assert.deepEqual(
+    Object.keys(json.sections),
+    config.sections.map((s) => s.id),
+  );
+  for (const section of config.sections) {
+    const entry = json.sections[section.id];
+    assert.deepEqual(Object.keys(entry), ["type", "heading", "data", "links"]);
+    assert.equal(entry.type, section.type);
+    assert.equal(entry.heading, section.heading);
+  }
+
+  const { spotlight, "whats-on": whatsOn } = json.sections;
+  assert.equal(spotlight.data.length, 2);
+  assert.equal(spotlight.data[0].title, "Nightlife shakeup");
+  assert.deepEqual(Object.keys(spotlight.data[0]), [
+    "title",
+    "image",
+    "caption",
+    "blocks",
+  ]);
+  assert.equal(spotlight.data[0].blocks[0].type, "p");
+  assert.deepEqual(spotlight.links[0], {
+    text: "City Hall is pitching licensing",
+    href: "https://www.london.gov.uk/mayor-sets-out-bold-new-licensing-plans-boost-capitals-hospitality-and-nightlife-industries?utm_source=chatgpt.com",
+  });
+
+  // Event CTAs are links too, with the source URL
+  assert.deepEqual(
+    whatsOn.links.map((link) => link.text),
+    ["Reservations"],
+  );
+  assert.equal(whatsOn.links[0].href, whatsOn.data[0].ctaUrl);
+});
+
+describe("rebuild from the edition JSON", () => {
+  for (const rel of FIXTURES) {
+    test(`${rel} matches the DOCX build byte for byte`, async () => {
+      const built = await quietly(() =>
+        buildFromDocx(path.join(root, "docx", rel), { root }),
+      );
+      const expected = readOutputs(built);
+
+      const rebuilt = await quietly(() =>
+        buildFromEditionJson(built.outJsonPath, { root }),
+      );
+
+      assert.deepEqual(readOutputs(rebuilt), expected);
+    });
+  }
+});
+
+test("a section missing from the JSON renders empty", async () => {
+  const rel = "london-summary/2026/feb/feb-13.docx";
+  const built = await quietly(() =>
+    buildFromDocx(path.join(root, "docx", rel), { root }),
+  );
+  const json = JSON.parse(fs.readFileSync(built.outJsonPath, "utf8"));
+  const [fact] = json.sections["did-you-know"].data;
+  delete json.sections["did-you-know"];
+  const cut = path.join(path.dirname(built.outJsonPath), "feb-13-cut.json");
+  fs.writeFileSync(cut, JSON.stringify(json));
+
+  const out = await quietly(() => buildFromEditionJson(cut, { root }));
+
+  assert.ok(
+    out.problems.includes('Section "did-you-know" missing from edition JSON'),
+  );
+  const html = fs.readFileSync(out.outHtmlPath, "utf8");
+  const full = fs.readFileSync(built.outHtmlPath, "utf8");
+  assert.ok(full.includes(fact));
+  assert.ok(!html.includes(fact));
+  assert.ok(html.includes(json.sections.spotlight.data[0].title));
+});
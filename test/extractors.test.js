@@ -0,0 +1,205 @@
+/**
+ * test/extractors.test.js
+ * -----------------------
+ * Edge cases of the doc tree and section extractors that Word produces and
+ * the golden files only cover by accident.
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { sectionContext } from "../lib/builder.js";
+import { loadNewsletterConfig } from "../lib/config.js";
+import { extractInThisEdition, parseDocTree } from "../lib/doc-tree.js";
+import { editionJson } from "../lib/edition.js";
+import { SECTION_TYPES } from "../lib/sections/index.js";
+import { isEmptyRichText } from "../lib/text.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const config = loadNewsletterConfig("london-summary", { root: ROOT });
+
+function extractSection(html, id) {
+  const section = config.sections.find((s) => s.id === id);
+  const ctx = sectionContext(config, section);
+  return SECTION_TYPES[section.type].extract(parseDocTree(html), section, ctx);
+}
+
+const tags = (nodes) => nodes.map((n) => n[0].tagName);
+
+/** -----------------------------
+ * <div> wrappers
+ * ----------------------------- */
+describe("div-wrapped paragraphs", () => {
+  test("are unwrapped into the section and story", () => {
+    const tree = parseDocTree(`
+      <h2>Spotlight</h2>
+      <div><p>Intro</p></div>
+      <h3>Story</h3>
+      <div><p>One</p><ul><li>Item</li></ul><p>Two</p></div>`);
+    const [section] = tree.sections;
+
+    assert.deepEqual(tags(section.intro), ["p"]);
+    assert.deepEqual(tags(section.stories[0].nodes), ["p", "ul", "p"]);
+  });
+
+  test("before the first Heading 2 stay in the preamble", () => {
+    const tree = parseDocTree(`<div><p>Preview</p></div><h2>Spotlight</h2>`);
+
+    assert.deepEqual(tags(tree.preamble), ["p"]);
+    assert.equal(tree.sections[0].nodes.length, 0);
+  });
+
+  test("reach the story body", () => {
+    const [story] = extractSection(
+      `<h2>Spotlight</h2><h3>Story</h3><div><p>One</p><p>Two</p></div>`,
+      "spotlight",
+    );
+
+    assert.deepEqual(
+      story.blocks.map((b) => b.html),
+      ["One", "Two"],
+    );
+  });
+});
+
+/** -----------------------------
+ * Empty <strong>
+ * ----------------------------- */
+describe("empty <strong>", () => {
+  test("counts as empty rich text", () => {
+    assert.equal(isEmptyRichText("<strong></strong>"), true);
+    assert.equal(isEmptyRichText("<strong> </strong>&nbsp;"), true);
+    assert.equal(isEmptyRichText("<strong>Hi</strong>"), false);
+  });
+
+  test("paragraphs are dropped from story bodies", () => {
+    const [story] = extractSection(
+      `<h2>Spotlight</h2><h3>Story</h3>
+       <p><strong></strong></p><p>Body</p><p><strong> </strong></p>`,
+      "spotlight",
+    );
+
+    assert.deepEqual(
+      story.blocks.map((b) => b.html),
+      ["Body"],
+    );
+  });
+
+  test("paragraphs do not use up a paragraph-list limit", () => {
+    const items = extractSection(
+      `<h2>Did you know?</h2><p><strong> </strong></p><p>Fact</p>`,
+      "did-you-know",
+    );
+
+    assert.equal(items.length, 1);
+    assert.match(items[0], /Fact/);
+  });
+});
+
+/** -----------------------------
+ * "In this edition:" prefix
+ * ----------------------------- */
+describe("in this edition", () => {
+  test("marker paragraph with a colon, then a bullet list", () => {
+    const tree = parseDocTree(
+      `<p>In this edition:</p><ul><li>One</li><li>Two</li></ul>`,
+    );
+
+    assert.deepEqual(extractInThisEdition(tree), ["One", "Two"]);
+  });
+
+  test("marker paragraph, then one paragraph per item", () => {
+    const tree = parseDocTree(`
+      <p>IN THIS EDITION:</p>
+      <p>One</p><p>Friday</p><p>Feb 13 • AQI 40</p><p>Two</p>
+      <p></p><p>Not an item</p>`);
+
+    assert.deepEqual(extractInThisEdition(tree), ["One", "Two"]);
+  });
+
+  test("prefix is stripped from items under a heading marker", () => {
+    const tree = parseDocTree(
+      `<h1>In this edition</h1><p>In this edition: One</p><p>Two</p>`,
+    );
+
+    assert.deepEqual(extractInThisEdition(tree), ["One", "Two"]);
+  });
+
+  test("prefix is stripped inside div-wrapped items", () => {
+    const tree = parseDocTree(
+      `<h1>In this edition</h1><div><p>In this edition: One</p><p>Two</p></div>`,
+    );
+
+    assert.deepEqual(extractInThisEdition(tree), ["One", "Two"]);
+  });
+
+  test("no marker, no items", () => {
+    const tree = parseDocTree(`<p>One</p><ul><li>Two</li></ul>`);
+
+    assert.deepEqual(extractInThisEdition(tree), []);
+  });
+});
+
+/** -----------------------------
+ * Subject line(s)
+ * ----------------------------- */
+describe("subject line", () => {
+  test("one subject per paragraph, A/B variants in the edition JSON", () => {
+    const subjects = extractSection(
+      `<h2>Subject lines</h2><p>Book crawl</p><p></p><p>Ice <em>rink</em> opens</p>
+       <h2>Preview text</h2><p>Preview</p>`,
+      "subject-line",
+    );
+    const json = editionJson(
+      { sections: { "subject-line": subjects } },
+      config,
+    );
+
+    assert.deepEqual(subjects, ["Book crawl", "Ice rink opens"]);
+    assert.equal(json.subject, "Book crawl");
+    assert.deepEqual(json.subjectVariants, [
+      { id: "A", subject: "Book crawl" },
+      { id: "B", subject: "Ice rink opens" },
+    ]);
+  });
+
+  test("a single subject line has no variants", () => {
+    const json = editionJson(
+      { sections: { "subject-line": ["Book crawl"] } },
+      config,
+    );
+
+    assert.equal(json.subject, "Book crawl");
+    assert.deepEqual(json.subjectVariants, []);
+  });
+});
+
+/** -----------------------------
+ * Section picture (image)
+ * ----------------------------- */
+describe("section picture", () => {
+  const dubai = loadNewsletterConfig("dubai-summary", { root: ROOT });
+  const section = dubai.sections.find((s) => s.id === "event-image");
+  const extractImage = (html) =>
+    SECTION_TYPES.image.extract(
+      parseDocTree(html),
+      section,
+      sectionContext(dubai, section),
+    );
+
+  test("is the picture before the first Heading 3", () => {
+    const image = extractImage(`
+      <h2>Event</h2><p><img src="https://x.com/event.jpg" alt="Expo"></p>
+      <h3>Where to eat?</h3><p><img src="https://x.com/food.jpg"></p>`);
+
+    assert.deepEqual(image, { src: "https://x.com/event.jpg", alt: "Expo" });
+  });
+
+  test("is not taken from a story", () => {
+    const image = extractImage(
+      `<h2>Event</h2><h3>Where to eat?</h3><p><img src="https://x.com/food.jpg"></p>`,
+    );
+
+    assert.equal(image, null);
+  });
+});
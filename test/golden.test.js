@@ -0,0 +1,159 @@
+/**
+ * test/golden.test.js
+ * -------------------
+ * Golden files: every pinned fixture (.docx / .md, FIXTURES) is rebuilt in a
+ * temp root and its .mjml + .html compared with the committed snapshot:
+ *   test/golden/<newsletter>/<year>/<month>/<file>.mjml + .html
+ *
+ * The temp root has the real mjml-template/ but the fixture ad bookings
+ * (test/fixtures/ads), so new editions in docx/ and new bookings in ads/
+ * never change the suite. A fixture's edition path is what follows "docx/".
+ *
+ *   npm test                -> compare; a mismatch prints a line diff
+ *   npm run test:update     -> rewrite the snapshots from the current build
+ *                              (UPDATE_GOLDEN=1), then review the git diff
+ */
+
+import assert from "node:assert/strict";
+import { after, describe, test } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { buildFromDocx } from "../lib/builder.js";
+import { alignSequences } from "../lib/diff.js";
+import { quietly } from "./helpers.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const GOLDEN_DIR = path.join(ROOT, "test", "golden");
+const FIXTURE_ADS_DIR = path.join(ROOT, "test", "fixtures", "ads");
+const OUTPUT_EXTS = [".mjml", ".html"];
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+const FIXTURES = [
+  "docx/dubai-summary/2026/feb/feb-9.docx",
+  "docx/dubai-summary/2026/feb/feb-10.docx",
+  "docx/dubai-summary/2026/feb/feb-11.docx",
+  "docx/dubai-summary/2026/feb/feb-12.docx",
+  "docx/dubai-summary/2026/feb/feb-13.docx",
+  "docx/geopolitical-summary/2026/feb/feb-9.docx",
+  "docx/geopolitical-summary/2026/feb/feb-10.docx",
+  "docx/geopolitical-summary/2026/feb/feb-11.docx",
+  "docx/geopolitical-summary/2026/feb/feb-12.docx",
+  "docx/geopolitical-summary/2026/feb/feb-13.docx",
+  "docx/london-summary/2026/feb/feb-6.docx",
+  "docx/london-summary/2026/feb/feb-9.docx",
+  "docx/london-summary/2026/feb/feb-11.docx",
+  "docx/london-summary/2026/feb/feb-13.docx",
+  "docx/presidential-summary/2026/feb/feb-6.docx",
+  "docx/presidential-summary/2026/feb/feb-9.docx",
+  "docx/presidential-summary/2026/feb/feb-10.docx",
+  "docx/presidential-summary/2026/feb/feb-11.docx",
+  "docx/presidential-summary/2026/feb/feb-12.docx",
+  "docx/presidential-summary/2026/feb/feb-13.docx",
+];
+
+const root = fixtureRoot();
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("golden files", () => {
+  for (const fixture of FIXTURES) {
+    const rel = fixture.replace(/^(.*\/)?docx\//, "");
+    const name = rel.slice(0, -path.extname(rel).length);
+
+    test(name, async () => {
+      const outputs = await quietly(() =>
+        buildFromDocx(path.join(root, "docx", rel), { root }),
+      );
+      const built = {
+        ".mjml": outputs.outMjmlPath,
+        ".html": outputs.outHtmlPath,
+      };
+
+      const failures = [];
+      for (const ext of OUTPUT_EXTS) {
+        const actual = fs.readFileSync(built[ext], "utf8");
+        const goldenPath = path.join(GOLDEN_DIR, name + ext);
+        const goldenRel = path.relative(ROOT, goldenPath);
+
+        if (UPDATE) {
+          fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+          fs.writeFileSync(goldenPath, actual, "utf8");
+        } else if (!fs.existsSync(goldenPath)) {
+          failures.push(`${goldenRel} missing`);
+        } else {
+          const expected = fs.readFileSync(goldenPath, "utf8");
+          if (actual !== expected) {
+            failures.push(
+              `${goldenRel} differs from the build\n${lineDiff(expected, actual)}`,
+            );
+          }
+        }
+      }
+
+      if (failures.length) {
+        assert.fail(
+          `${failures.join("\n\n")}\n\n(intended? npm run test:update)`,
+        );
+      }
+    });
+  }
+});
+
+/** -----------------------------
+ * Fixtures: temp root with mjml-template/ (linked), the fixture ads/ and a
+ * copy of every fixture under docx/
+ * ----------------------------- */
+function fixtureRoot() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "golden-"));
+  fs.symlinkSync(
+    path.join(ROOT, "mjml-template"),
+    path.join(dir, "mjml-template"),
+  );
+  fs.symlinkSync(FIXTURE_ADS_DIR, path.join(dir, "ads"));
+
+  for (const fixture of FIXTURES) {
+    const rel = fixture.replace(/^(.*\/)?docx\//, "");
+    const target = path.join(dir, "docx", rel);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(path.join(ROOT, fixture), target);
+  }
+  return dir;
+}
+
+/** -----------------------------
+ * Line diff: changed lines ("-" expected / "+" actual, aligned by
+ * lib/diff.js) with CONTEXT lines around each change
+ * ----------------------------- */
+const CONTEXT = 3;
+const MAX_DIFF_LINES = 80;
+
+function lineDiff(expected, actual) {
+  return formatHunks(alignSequences(expected.split("\n"), actual.split("\n")));
+}
+
+function formatHunks(ops) {
+  const out = [];
+  let line = 0; // expected line number
+  let lastShown = -1;
+
+  ops.forEach(([op, text], idx) => {
+    if (op !== "+") line++;
+    const near = ops
+      .slice(Math.max(0, idx - CONTEXT), idx + CONTEXT + 1)
+      .some(([o]) => o !== " ");
+    if (!near) return;
+
+    if (idx !== lastShown + 1) out.push(`@@ line ${line} @@`);
+    out.push(`${op} ${text}`);
+    lastShown = idx;
+  });
+
+  if (out.length > MAX_DIFF_LINES) {
+    const more = out.length - MAX_DIFF_LINES;
+    return [...out.slice(0, MAX_DIFF_LINES), `... ${more} more lines`].join(
+      "\n",
+    );
+  }
+  return out.join("\n");
+}
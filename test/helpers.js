@@ -0,0 +1,24 @@
+/**
+ * test/helpers.js
+ * ---------------
+ * Shared by the tests (no tests of its own).
+ */
+
+/**
+ * Runs fn with console.log / console.warn silenced (build progress and
+ * warnings), restoring them once it returns or, for a promise, settles.
+ */
+export function quietly(fn) {
+  const { log, warn } = console;
+  const restore = () => Object.assign(console, { log, warn });
+  console.log = console.warn = () => {};
+  try {
+    const result = fn();
+    if (typeof result?.then === "function") return result.finally(restore);
+    restore();
+    return result;
+  } catch (e) {
+    restore();
+    throw e;
+  }
+}
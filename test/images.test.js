@@ -0,0 +1,103 @@
+/**
+ * test/images.test.js
+ * -------------------
+ * optimizeImage (lib/images.js): pictures are only re-encoded when that
+ * helps, never grow unless too wide or turned, and lose their EXIF.
+ */
+
+import assert from "node:assert/strict";
+import { Jimp } from "jimp";
+import { test } from "node:test";
+import { jpegOrientation, optimizeImage } from "../lib/images.js";
+
+async function jpeg(width, quality) {
+  const image = new Jimp({ width, height: width / 2, color: 0x3366ccff });
+  for (let x = 0; x < width; x += 7) {
+    image.setPixelColor(0xffcc00ff, x, (x * 3) % (width / 2));
+  }
+  return image.getBuffer("image/jpeg", { quality });
+}
+
+// JPEG + an EXIF APP1 segment (orientation tag, GPS-style note) after SOI
+function withExif(buffer, orientation = 1) {
+  const tiff = Buffer.alloc(26);
+  tiff.write("II*\0", 0, "latin1");
+  tiff.writeUInt32LE(8, 4); // IFD0
+  tiff.writeUInt16LE(1, 8); // one entry
+  tiff.writeUInt16LE(0x0112, 10); // Orientation
+  tiff.writeUInt16LE(3, 12); // SHORT
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(orientation, 18);
+  tiff.writeUInt32LE(0, 22); // no next IFD
+  const payload = Buffer.concat([
+    Buffer.from("Exif\0\0", "latin1"),
+    tiff,
+    Buffer.from("GPS 25.2048N 55.2708E", "latin1"),
+  ]);
+
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([
+    buffer.subarray(0, 2),
+    header,
+    payload,
+    buffer.subarray(2),
+  ]);
+}
+
+test("a narrow picture within budget is kept as it is", async () => {
+  const buffer = await jpeg(400, 90);
+  const out = await optimizeImage(buffer, "image/jpeg");
+
+  assert.equal(out.buffer, buffer);
+  assert.equal(out.width, 400);
+});
+
+test("a wide picture is resized to the column", async () => {
+  const buffer = await jpeg(1600, 90);
+  const out = await optimizeImage(buffer, "image/jpeg");
+
+  assert.equal(out.width, 1200);
+  assert.ok(out.bytes < buffer.length);
+});
+
+test("a re-encode that is not smaller keeps the original", async () => {
+  // Over the byte budget, but already squeezed harder than the encoder goes
+  const buffer = await jpeg(400, 10);
+  const out = await optimizeImage(buffer, "image/jpeg", { maxBytes: 100 });
+
+  assert.equal(out.buffer, buffer);
+  assert.equal(out.bytes, buffer.length);
+});
+
+test("a kept picture loses its EXIF", async () => {
+  const buffer = withExif(await jpeg(800, 90));
+  assert.ok(buffer.includes("GPS 25.2048N"));
+
+  const out = await optimizeImage(buffer, "image/jpeg");
+
+  assert.equal(out.width, 800);
+  assert.ok(!out.buffer.includes("Exif"));
+  assert.ok(!out.buffer.includes("GPS 25.2048N"));
+  assert.equal(out.bytes, out.buffer.length);
+});
+
+test("a wide picture is resized even when the re-encode is larger", async () => {
+  const buffer = await jpeg(1600, 10);
+  const out = await optimizeImage(buffer, "image/jpeg", { maxBytes: 100 });
+
+  assert.equal(out.width, 1200);
+  assert.notEqual(out.buffer, buffer);
+});
+
+test("a picture turned by its EXIF is re-encoded upright", async () => {
+  const buffer = withExif(await jpeg(400, 90), 6);
+  assert.equal(jpegOrientation(buffer), 6);
+
+  const out = await optimizeImage(buffer, "image/jpeg");
+
+  assert.equal(out.width, 200);
+  assert.equal(out.height, 400);
+  assert.equal(jpegOrientation(out.buffer), 1);
+});
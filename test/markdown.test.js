@@ -0,0 +1,59 @@
+/**
+ * test/markdown.test.js
+ * ---------------------
+ * lib/markdown.js: a Markdown draft extracts the same sections as the DOCX
+ * it mirrors (test/fixtures/markdown: London Feb 13, with Word's stray spaces
+ * inside links).
+ */
+
+import assert from "node:assert/strict";
+import path from "path";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+import { extractEdition, sourceToHtml } from "../lib/builder.js";
+import { loadNewsletterConfig } from "../lib/config.js";
+import { parseDocTree } from "../lib/doc-tree.js";
+import { quietly } from "./helpers.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const EDITION = "london-summary/2026/feb/feb-13";
+const config = loadNewsletterConfig("london-summary", { root: ROOT });
+
+async function extractSections(source) {
+  const html = await sourceToHtml(source, { optimize: false });
+  return quietly(() => extractEdition(parseDocTree(html), config)).sections;
+}
+
+// Word leftovers Markdown cannot write: empty bold runs (<strong> </strong>)
+// and a line break ending the paragraph
+function withoutWordLeftovers(data) {
+  if (typeof data === "string") {
+    return data.replace(/<strong>(\s+)<\/strong>/g, "$1").replace(/<br>$/, "");
+  }
+  if (Array.isArray(data)) return data.map(withoutWordLeftovers);
+  if (data && typeof data === "object") {
+    return Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [
+        key,
+        withoutWordLeftovers(value),
+      ]),
+    );
+  }
+  return data;
+}
+
+test("a Markdown draft extracts the same sections as its DOCX", async () => {
+  const docx = await extractSections(
+    path.join(ROOT, "docx", `${EDITION}.docx`),
+  );
+  const markdown = await extractSections(
+    path.join(ROOT, "test", "fixtures", "markdown", `${EDITION}.md`),
+  );
+
+  assert.deepEqual(Object.keys(markdown), Object.keys(docx));
+  for (const id of Object.keys(docx)) {
+    assert.deepEqual(markdown[id], withoutWordLeftovers(docx[id]), id);
+  }
+  assert.equal(docx.spotlight.length, 2);
+  assert.equal(docx["long-story-short"].categories.length, 4);
+});
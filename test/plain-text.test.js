@@ -0,0 +1,126 @@
+/**
+ * test/plain-text.test.js
+ * -----------------------
+ * The .txt alternative (builder renderEditionText, lib/plain-text.js):
+ * headings, link footnotes, ad slots and the footer of a London edition.
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { renderEditionText } from "../lib/builder.js";
+import { loadNewsletterConfig } from "../lib/config.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const london = loadNewsletterConfig("london-summary", { root: ROOT });
+
+const story = (title, html) => ({
+  title,
+  image: null,
+  caption: "",
+  blocks: [{ type: "p", html }],
+});
+
+const edition = (sections, ads = {}) => ({ date: "2026-02-13", ads, sections });
+
+describe("renderEditionText", () => {
+  test("header, section headings in layout order and the footer", () => {
+    const text = renderEditionText(
+      edition({
+        "did-you-know": ["Big Ben is the bell."],
+        spotlight: [story("Nightlife shakeup", "Licensing changes.")],
+      }),
+      london,
+    );
+
+    assert.ok(text.startsWith("London Summary | 13 February 2026\n\n\n"));
+    assert.ok(text.includes("SPOTLIGHT\n---------\n\nNightlife shakeup"));
+    assert.ok(
+      text.includes("DID YOU KNOW\n------------\n\nBig Ben is the bell."),
+    );
+    assert.ok(text.indexOf("SPOTLIGHT") < text.indexOf("DID YOU KNOW"));
+    assert.match(
+      text,
+      /\n--\nLondon Summary\nhttps:\/\/www\.londonsummary\.com\/\n/,
+    );
+    assert.match(text, /\nUnsubscribe: https:\/\/\S+unsubscribe/);
+  });
+
+  test("links become footnotes, one number per URL; mailto stays inline", () => {
+    const text = renderEditionText(
+      edition({
+        spotlight: [
+          story("One", 'Read <a href="https://x.com/a?b=1&amp;c=2">more</a>'),
+          story(
+            "Two",
+            'See <a href="https://x.com/b">this</a> and <a href="https://x.com/a?b=1&amp;c=2">that</a>',
+          ),
+        ],
+        "did-you-know": ['Write to <a href="mailto:tips@x.com">us</a>.'],
+      }),
+      london,
+    );
+
+    assert.ok(text.includes("Read more [1]"));
+    assert.ok(text.includes("See this [2] and that [1]"));
+    assert.ok(text.includes("Write to us (tips@x.com)."));
+    assert.ok(
+      text.endsWith(
+        "Links:\n[1] https://x.com/a?b=1&c=2\n[2] https://x.com/b\n",
+      ),
+    );
+  });
+
+  test("footnote URLs carry the same UTM tags as the HTML", () => {
+    const text = renderEditionText(
+      edition({ spotlight: [story("One", '<a href="https://x.com/a">A</a>')] }),
+      { ...london, utm: true },
+    );
+
+    assert.match(
+      text,
+      /\[1\] https:\/\/x\.com\/a\?utm_source=london-summary&utm_medium=email&utm_campaign=2026-02-13&utm_content=spotlight-1\n/,
+    );
+  });
+
+  test("ads are one-line Sponsored mentions at their slot", () => {
+    const text = renderEditionText(
+      edition(
+        {
+          spotlight: [story("One", "First."), story("Two", "Second.")],
+          "did-you-know": ["Fact."],
+        },
+        {
+          primary: {
+            slot: "primary",
+            headline: "Wash & fold",
+            ctaText: "Book now",
+            ctaUrl: "https://ads.com/w",
+          },
+          secondary: { slot: "secondary", ctaUrl: "https://ads.com/s" },
+        },
+      ),
+      london,
+    );
+
+    // primary: after the first Spotlight story; secondary: layout slot
+    assert.ok(
+      text.includes("First.\n\nSponsored: Wash & fold - Book now [1]\n\nTwo"),
+    );
+    assert.ok(text.includes("Sponsored: Learn more [2]"));
+    assert.ok(
+      text.indexOf("Sponsored: Learn more") < text.indexOf("DID YOU KNOW"),
+    );
+    assert.ok(text.includes("[1] https://ads.com/w\n[2] https://ads.com/s\n"));
+  });
+
+  test("an empty slot leaves no mention", () => {
+    const text = renderEditionText(
+      edition({ spotlight: [story("One", "First."), story("Two", "Second.")] }),
+      london,
+    );
+
+    assert.doesNotMatch(text, /Sponsored/);
+    assert.doesNotMatch(text, /Links:/);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * test/pool.test.js
+ * -----------------
+ * Worker pool of lib/pool.js: rows and log blocks in source order.
+ * (Missing sources fail fast, so no edition is actually built.)
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+import { pathToFileURL } from "url";
+import { buildInWorkers } from "../lib/pool.js";
+
+test("results and logs come back in source order", async () => {
+  const sources = ["docx/london-summary/2026/feb/none-1.docx", "docx/x/2.md"];
+  const printed = [];
+  const error = console.error;
+  console.error = (line) => printed.push(line);
+
+  let results;
+  try {
+    results = await buildInWorkers(sources, {
+      jobs: 2,
+      onStart: (idx) => printed.push(`start ${idx}`),
+    });
+  } finally {
+    console.error = error;
+  }
+
+  assert.deepEqual(
+    results.map((r) => [r.source, r.status]),
+    sources.map((source) => [source, "failed"]),
+  );
+  assert.equal(printed.length, 4);
+  assert.equal(printed[0], "start 0");
+  assert.match(printed[1], /Build failed: Error: Source not found: .*none-1/);
+  assert.equal(printed[2], "start 1");
+  assert.match(printed[3], /Source not found: docx\/x\/2\.md/);
+});
+
+test("a worker that dies fails its edition, the rest still build", async () => {
+  // Stand-in worker: "exit" / "throw" kill it mid-build, the rest succeed
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pool-test-"));
+  const worker = path.join(dir, "worker.mjs");
+  fs.writeFileSync(
+    worker,
+    `import { parentPort } from "worker_threads";
+parentPort.on("message", ({ source }) => {
+  if (source === "exit") process.exit(3);
+  if (source === "throw") throw new Error("boom");
+  parentPort.postMessage({
+    result: { source, status: "built" },
+    logs: [["log", source]],
+  });
+});
+`,
+  );
+
+  const printed = [];
+  const { log, error } = console;
+  console.log = console.error = (line) => printed.push(line);
+
+  let results;
+  try {
+    results = await buildInWorkers(["a", "exit", "b", "throw", "c"], {
+      jobs: 2,
+      worker: pathToFileURL(worker),
+    });
+  } finally {
+    Object.assign(console, { log, error });
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.deepEqual(
+    results.map((r) => `${r.source}: ${r.status}`),
+    ["a: built", "exit: failed", "b: built", "throw: failed", "c: built"],
+  );
+  assert.equal(results[1].output, "worker exited (code 3)");
+  assert.equal(results[3].output, "worker error: boom");
+  assert.deepEqual(printed, [
+    "a",
+    "❌ Build failed: exit: worker exited (code 3)",
+    "b",
+    "❌ Build failed: throw: worker error: boom",
+    "c",
+  ]);
+});
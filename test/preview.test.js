@@ -0,0 +1,57 @@
+/**
+ * test/preview.test.js
+ * --------------------
+ * Edition index and routes of lib/preview.js in a temp dist/ tree.
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+import { listEditions, startPreviewServer } from "../lib/preview.js";
+
+test("editions by newsletter, newest first", () => {
+  const dist = fs.mkdtempSync(path.join(os.tmpdir(), "preview-test-"));
+  const files = [
+    "london-summary/2026/feb/feb-9.html",
+    "london-summary/2026/feb/feb-13.html",
+    "london-summary/2026/feb/feb-13.json",
+    "london-summary/2026/feb/feb-13.source.html",
+    "london-summary/2026/feb/images/feb-13-spotlight-1.jpg",
+    "london-summary/2026/mar/mar-2.html",
+    "dubai-summary/2025/dec/dec-31.html",
+  ];
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(dist, file)), { recursive: true });
+    fs.writeFileSync(path.join(dist, file), "");
+  }
+
+  try {
+    assert.deepEqual(
+      listEditions(dist).map((e) => `${e.newsletter}/${e.month}/${e.base}`),
+      [
+        "dubai-summary/dec/dec-31",
+        "london-summary/mar/mar-2",
+        "london-summary/feb/feb-13",
+        "london-summary/feb/feb-9",
+      ],
+    );
+  } finally {
+    fs.rmSync(dist, { recursive: true, force: true });
+  }
+});
+
+test("malformed paths get a 400, the server keeps running", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "preview-test-"));
+  const server = await startPreviewServer({ root, port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    assert.equal((await fetch(`${base}/dist/%E0%A4%A`)).status, 400);
+    assert.equal((await fetch(`${base}/`)).status, 200);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,98 @@
+/**
+ * test/size.test.js
+ * -----------------
+ * Size report and minify of lib/size.js on hand-written markup.
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  markSection,
+  minifyHtml,
+  sizeProblems,
+  sizeReport,
+  stripHtmlSizeMarks,
+  stripSizeMarks,
+} from "../lib/size.js";
+
+describe("report", () => {
+  test("bytes per section, the rest is layout", () => {
+    const marked = `<body>${markSection("spotlight", "<p>é</p>")}${markSection("jobs", "<p>ab</p>")}</body>`;
+    const html = stripSizeMarks(marked);
+    const report = sizeReport(html, marked);
+
+    assert.equal(html, "<body><p>é</p><p>ab</p></body>");
+    assert.deepEqual(report.sections, [
+      { id: "spotlight", bytes: 9 },
+      { id: "jobs", bytes: 9 },
+    ]);
+    assert.equal(report.layout, report.bytes - 18);
+    assert.equal(report.budget, 102 * 1024);
+  });
+
+  test("marks leave surrounding whitespace outside", () => {
+    assert.equal(
+      markSection("jobs", "\n  <mj-text />\n"),
+      "\n  <!--size:jobs--><mj-text /><!--/size:jobs-->\n",
+    );
+  });
+
+  test("Outlook conditionals split by a mark are merged again", () => {
+    const marked = [
+      "<!--[if mso | IE]><tr><![endif]-->",
+      "<!--size:jobs-->",
+      "<!--[if mso | IE]><td><![endif]-->",
+    ].join("\n");
+
+    assert.equal(
+      stripHtmlSizeMarks(marked),
+      "<!--[if mso | IE]><tr><td><![endif]-->",
+    );
+  });
+
+  test("over budget and inline images are problems", () => {
+    const html = `<img src="data:image/png;base64,${"A".repeat(2000)}">`;
+    const problems = sizeProblems(sizeReport(html, html, { budgetKb: 1 }));
+
+    assert.equal(problems.length, 2);
+    assert.match(problems[0], /over the 1\.0 KB budget/);
+    assert.match(problems[1], /^1 inline data: image/);
+  });
+});
+
+describe("minify", () => {
+  test("comments go, conditional comments stay", () => {
+    const html = [
+      "<!-- note -->",
+      "<!--[if mso | IE]><table><tr><td><![endif]-->",
+      '<!--[if !mso]><!--><meta name="a"><!--<![endif]-->',
+    ].join("\n");
+
+    assert.equal(
+      minifyHtml(html),
+      '<!--[if mso | IE]><table><tr><td><![endif]--> <!--[if !mso]><!--><meta name="a"><!--<![endif]-->',
+    );
+  });
+
+  test("whitespace collapsed, kept between inline elements", () => {
+    const html =
+      "<div>\n  <p>\n    Read <a>more</a>\n    <b>now</b>\n  </p>\n</div>";
+
+    assert.equal(
+      minifyHtml(html),
+      "<div><p>Read <a>more</a> <b>now</b></p></div>",
+    );
+  });
+
+  test("repeated style declarations keep the one that applies", () => {
+    const html =
+      '<td style="color: red; margin: 0; color: blue !important; color: green;"></td>' +
+      '<td style="background: url(a.png); color: red; color: red"></td>';
+
+    assert.equal(
+      minifyHtml(html),
+      '<td style="margin:0;color:blue !important"></td>' +
+        '<td style="background: url(a.png); color: red; color: red"></td>',
+    );
+  });
+});
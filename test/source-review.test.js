@@ -0,0 +1,58 @@
+/**
+ * test/source-review.test.js
+ * --------------------------
+ * Which DOCX blocks lib/source-review.js marks as read, and why the others
+ * are flagged.
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+import { loadNewsletterConfig } from "../lib/config.js";
+import { parseDocTree } from "../lib/doc-tree.js";
+import { reviewSource } from "../lib/source-review.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const config = loadNewsletterConfig("london-summary", { root: ROOT });
+
+test("used blocks carry their section, ignored ones the reason", () => {
+  const tree = parseDocTree(`
+    <p>Draft notes</p>
+    <p>In this edition:</p>
+    <ul><li>Item</li></ul>
+    <h2>Spotlight</h2>
+    <p>Stray intro</p>
+    <h3>Story</h3>
+    <p>Body</p>
+    <h2>Sports</h2>
+    <p><img src="data:image/png;base64,AAAA" /></p>
+    <h2>Preview text</h2>
+    <p>Preview</p>
+    <p>Second paragraph</p>`);
+  const { $ } = tree;
+
+  const { html, ignored } = reviewSource(tree, config);
+
+  assert.deepEqual(
+    $(".review-used")
+      .map((_, el) => `${$(el).text().trim()}=${$(el).attr("data-review")}`)
+      .get(),
+    [
+      "In this edition:=in-this-edition",
+      "Item=in-this-edition",
+      "Spotlight=spotlight",
+      "Story=spotlight",
+      "Body=spotlight",
+      "Preview text=preview-text",
+      "Preview=preview-text",
+    ],
+  );
+  assert.deepEqual(ignored, [
+    { reason: "Before the first Heading 2", text: "Draft notes" },
+    { reason: "Before the first Heading 3", text: "Stray intro" },
+    { reason: 'No section reads Heading 2 "Sports"', text: "Sports" },
+    { reason: "Picture outside a section", text: "(picture)" },
+    { reason: "Not read by its section", text: "Second paragraph" },
+  ]);
+  assert.match(html, /^<!doctype html>/);
+});
@@ -0,0 +1,108 @@
+/**
+ * test/strict.test.js
+ * -------------------
+ * node build.js --strict end to end (lib/builder.js): a build with no
+ * problems writes its outputs, an MJML validation error stops it.
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { buildFromDocx } from "../lib/builder.js";
+import { quietly } from "./helpers.js";
+
+const NEWSLETTER = "strict-summary";
+
+const CONFIG = {
+  name: "Strict Summary",
+  style: "london",
+  brandColor: "#80011F",
+  siteUrl: "https://www.example.com/",
+  assetBaseUrl: "https://www.example.com/email",
+  sections: [
+    {
+      id: "preview-text",
+      type: "meta-field",
+      heading: "Preview text",
+      token: "PREVIEW_TEXT",
+    },
+    {
+      id: "did-you-know",
+      type: "paragraph-list",
+      heading: "Did you know",
+      token: "DID_YOU_KNOW_SECTION",
+    },
+  ],
+};
+
+const layout = (body) => `<mjml>
+  <mj-head>
+    <mj-preview>{{%PREVIEW_TEXT%}}</mj-preview>
+  </mj-head>
+  <mj-body background-color="#ffffff">
+${body}
+    <mj-section>
+      <mj-column>
+        <mj-text color="#000000">{{%DID_YOU_KNOW_SECTION%}}</mj-text>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>
+`;
+
+// Temp root: one newsletter with the given layout and one Markdown draft
+const roots = [];
+after(() => {
+  for (const root of roots) fs.rmSync(root, { recursive: true, force: true });
+});
+
+function newsletterRoot(body) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "strict-test-"));
+  roots.push(root);
+
+  const templateDir = path.join(root, "mjml-template", NEWSLETTER);
+  fs.mkdirSync(templateDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(templateDir, "config.json"),
+    JSON.stringify(CONFIG, null, 2),
+  );
+  fs.writeFileSync(path.join(templateDir, "layout.mjml"), layout(body));
+
+  const draft = path.join(root, "docx", NEWSLETTER, "2026/feb/feb-13.md");
+  fs.mkdirSync(path.dirname(draft), { recursive: true });
+  fs.writeFileSync(
+    draft,
+    "## Did you know\n\nLondon has 170 museums.\n\n## Preview text\n\nMuseums galore\n",
+  );
+  return { root, draft, outDir: path.join(root, "dist", NEWSLETTER) };
+}
+
+test("a clean build passes and writes its outputs", async () => {
+  const { root, draft } = newsletterRoot("");
+
+  const out = await quietly(() => buildFromDocx(draft, { root, strict: true }));
+
+  assert.deepEqual(out.problems, []);
+  assert.ok(fs.existsSync(out.outHtmlPath));
+});
+
+test("an MJML validation error fails the build", async () => {
+  const { root, draft, outDir } = newsletterRoot(
+    '    <mj-spacer height="10px" />',
+  );
+
+  await assert.rejects(
+    quietly(() => buildFromDocx(draft, { root, strict: true })),
+    (e) => {
+      assert.match(e.message, /^Strict build: 1 problem\(s\), nothing written/);
+      assert.match(
+        e.problems[0],
+        /^MJML: .*mj-spacer cannot be used inside mj-body/,
+      );
+      return true;
+    },
+  );
+  assert.equal(fs.existsSync(outDir), false);
+});
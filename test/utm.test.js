@@ -0,0 +1,138 @@
+/**
+ * test/utm.test.js
+ * ----------------
+ * lib/utm.js: which links get UTM parameters, how they are added to the
+ * URL, and the per-section utm_content of a rendered edition.
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "url";
+import { renderEdition } from "../lib/builder.js";
+import { loadNewsletterConfig } from "../lib/config.js";
+import { tagLinks, tagUrl, utmFor } from "../lib/utm.js";
+import { quietly } from "./helpers.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const london = loadNewsletterConfig("london-summary", { root: ROOT });
+const config = { ...london, utm: true };
+const ctx = { config, utm: utmFor(config, { date: "2026-02-13" }) };
+
+const UTM =
+  "utm_source=london-summary&utm_medium=email&utm_campaign=2026-02-13";
+
+/** -----------------------------
+ * Single URL
+ * ----------------------------- */
+describe("tagUrl", () => {
+  test("adds the edition params and utm_content", () => {
+    assert.equal(
+      tagUrl("https://x.com/a", ctx, "spotlight-1"),
+      `https://x.com/a?${UTM}&utm_content=spotlight-1`,
+    );
+  });
+
+  test("leaves a link that already has utm_* parameters alone", () => {
+    for (const url of [
+      "https://x.com/a?id=7&utm_source=partner",
+      "https://x.com/a?utm_source=chatgpt.com",
+    ]) {
+      assert.equal(tagUrl(url, ctx, "layout"), url);
+    }
+  });
+
+  test("puts the params before the #fragment", () => {
+    assert.equal(
+      tagUrl("https://x.com/a#menu", ctx, "layout"),
+      `https://x.com/a?${UTM}&utm_content=layout#menu`,
+    );
+    assert.equal(
+      tagUrl("https://x.com/a?id=7#menu", ctx, "layout"),
+      `https://x.com/a?id=7&${UTM}&utm_content=layout#menu`,
+    );
+  });
+
+  test("skips merge tags, unsubscribe links and non-web links", () => {
+    for (const url of [
+      "https://x.com/open?unique_id=%unique_id%",
+      "https://x.com/unsubscribewithfeedback?campaign=1",
+      "mailto:readers@x.com",
+      "#top",
+    ]) {
+      assert.equal(tagUrl(url, ctx, "layout"), url);
+    }
+  });
+
+  test("is off without config utm", () => {
+    assert.equal(utmFor(london, { date: "2026-02-13" }), null);
+    assert.equal(
+      tagUrl("https://x.com/a", { config: london, utm: null }, "layout"),
+      "https://x.com/a",
+    );
+  });
+});
+
+/** -----------------------------
+ * Markup
+ * ----------------------------- */
+describe("tagLinks", () => {
+  test("round-trips &amp; in href attributes", () => {
+    const html = tagLinks(
+      '<a href="https://x.com/a?b=1&amp;c=2">A</a>',
+      ctx,
+      "layout",
+    );
+
+    assert.equal(
+      html,
+      `<a href="https://x.com/a?b=1&amp;c=2&amp;${UTM.replaceAll("&", "&amp;")}&amp;utm_content=layout">A</a>`,
+    );
+  });
+
+  test("leaves tags that are not links alone", () => {
+    const html = '<link href="https://fonts.x.com/a.css" />';
+
+    assert.equal(tagLinks(html, ctx, "layout"), html);
+  });
+});
+
+/** -----------------------------
+ * Rendered edition
+ * ----------------------------- */
+describe("utm_content per section", () => {
+  const link = (href) => `Read <a href="${href}">more</a>`;
+  const story = (title, href) => ({
+    title,
+    image: null,
+    caption: "",
+    blocks: [{ type: "p", html: link(href) }],
+  });
+
+  test("names the story and the category of each link", () => {
+    const mjml = quietly(() =>
+      renderEdition(
+        {
+          date: "2026-02-13",
+          ads: {},
+          sections: {
+            spotlight: [
+              story("One", "https://x.com/one"),
+              story("Two", "https://x.com/two"),
+            ],
+            "long-story-short": {
+              categories: [
+                { title: "Business", items: [link("https://x.com/biz")] },
+              ],
+              image: null,
+            },
+          },
+        },
+        config,
+      ),
+    );
+
+    assert.match(mjml, /x\.com\/one\?[^"]*utm_content=spotlight-1"/);
+    assert.match(mjml, /x\.com\/two\?[^"]*utm_content=spotlight-2"/);
+    assert.match(mjml, /x\.com\/biz\?[^"]*utm_content=lss-business"/);
+  });
+});
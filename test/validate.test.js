@@ -0,0 +1,95 @@
+/**
+ * test/validate.test.js
+ * ---------------------
+ * validate.js exit codes on the fixtures, and on broken drafts in a temp
+ * root (real mjml-template/, linked).
+ */
+
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const DRAFT_DIR = "docx/london-summary/2026/feb";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "validate-test-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+fs.symlinkSync(
+  path.join(ROOT, "mjml-template"),
+  path.join(root, "mjml-template"),
+);
+fs.mkdirSync(path.join(root, DRAFT_DIR), { recursive: true });
+
+function validate(source, { cwd = ROOT } = {}) {
+  return spawnSync(process.execPath, [path.join(ROOT, "validate.js"), source], {
+    cwd,
+    encoding: "utf8",
+  });
+}
+
+// Draft written into the temp root; returns its path relative to it
+function draft(file, content) {
+  const rel = `${DRAFT_DIR}/${file}`;
+  fs.writeFileSync(path.join(root, rel), content);
+  return rel;
+}
+
+test("a missing optional section does not fail a clean document", () => {
+  // No "Subject line" heading, nothing else to report
+  const { status, stdout } = validate(
+    "docx/presidential-summary/2026/feb/feb-9.docx",
+  );
+
+  assert.match(stdout, /ℹ️ Subject line: \(none\)/);
+  assert.match(stdout, /0 error\(s\), 0 warning\(s\)/);
+  assert.equal(status, 0);
+});
+
+test("missing required sections are errors and exit 1", () => {
+  const source = draft("feb-13.md", "## Spotlight\n\n### Story\n\nBody\n");
+
+  const { status, stdout } = validate(source, { cwd: root });
+
+  assert.match(stdout, /✅ Spotlight: \[ 'Story' \]/);
+  assert.match(
+    stdout,
+    /❌ In this edition: \[\]\n {3}- Heading 2 "In this edition" not found/,
+  );
+  assert.match(stdout, /5 error\(s\), 0 warning\(s\)/);
+  assert.equal(status, 1);
+});
+
+test("warnings only exit 2", () => {
+  // The Markdown fixture (an event without a picture) + a misspelt heading
+  const fixture = path.join(
+    ROOT,
+    "test/fixtures/markdown/london-summary/2026/feb/feb-13.md",
+  );
+  const source = draft(
+    "feb-12.md",
+    `${fs.readFileSync(fixture, "utf8")}\n## Did you knw\n\nTypo\n`,
+  );
+
+  const { status, stdout } = validate(source, { cwd: root });
+
+  assert.match(stdout, /"Out of this world cocktails" has no image/);
+  assert.match(
+    stdout,
+    /⚠️ Heading 2 "Did you knw" is not read by any section \(did you mean "Did you know"\?\)/,
+  );
+  assert.match(stdout, /0 error\(s\), 2 warning\(s\)/);
+  assert.equal(status, 2);
+});
+
+test("a DOCX that cannot be read exits 1", () => {
+  const source = draft("feb-11.docx", "not a zip");
+
+  const { status, stderr } = validate(source, { cwd: root });
+
+  assert.match(stderr, /❌ Validation failed:/);
+  assert.equal(status, 1);
+});
@@ -0,0 +1,78 @@
+/**
+ * test/warnings.test.js
+ * ---------------------
+ * <file>.warnings.json (lib/builder.js): every warning of a build, and the
+ * reason when the build fails, for the preview panel.
+ */
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "url";
+import { buildFromDocx } from "../lib/builder.js";
+import { quietly } from "./helpers.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+// Temp root with the real templates and one Markdown draft
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "warnings-test-"));
+fs.symlinkSync(
+  path.join(ROOT, "mjml-template"),
+  path.join(root, "mjml-template"),
+);
+const draft = path.join(root, "docx/london-summary/2026/feb/feb-13.md");
+fs.mkdirSync(path.dirname(draft), { recursive: true });
+fs.writeFileSync(
+  draft,
+  "## Spotlight\n\n### Story\n\n![Photo](missing.jpg)\n\nBody\n",
+  "utf8",
+);
+const warningsPath = path.join(
+  root,
+  "dist/london-summary/2026/feb/feb-13.warnings.json",
+);
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test("extraction warnings are written with the render ones", async () => {
+  await quietly(() => buildFromDocx(draft, { root }));
+
+  const { failed, warnings } = JSON.parse(
+    fs.readFileSync(warningsPath, "utf8"),
+  );
+  assert.equal(failed, undefined);
+  assert.ok(
+    warnings.includes("Markdown image not found or unsupported: missing.jpg"),
+  );
+  assert.ok(warnings.some((w) => w.startsWith("MJML: ")));
+});
+
+test("a failed build replaces the last warnings with the reason", async () => {
+  await assert.rejects(
+    quietly(() => buildFromDocx(draft, { root, strict: true })),
+  );
+
+  const { failed, warnings } = JSON.parse(
+    fs.readFileSync(warningsPath, "utf8"),
+  );
+  assert.match(failed, /^Strict build: \d+ problem\(s\), nothing written$/);
+  assert.ok(
+    warnings.includes("Markdown image not found or unsupported: missing.jpg"),
+  );
+});
+
+test("a strict failure on a new edition creates no dist folder", async () => {
+  const fresh = path.join(root, "docx/london-summary/2026/mar/mar-6.md");
+  fs.mkdirSync(path.dirname(fresh), { recursive: true });
+  fs.copyFileSync(draft, fresh);
+
+  await assert.rejects(
+    quietly(() => buildFromDocx(fresh, { root, strict: true })),
+  );
+
+  assert.equal(
+    fs.existsSync(path.join(root, "dist/london-summary/2026/mar")),
+    false,
+  );
+});
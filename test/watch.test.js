@@ -0,0 +1,74 @@
+/**
+ * test/watch.test.js
+ * ------------------
+ * lib/watch.js: which file changes are ignored and which editions a change
+ * rebuilds.
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  affectedSources,
+  isIgnored,
+  sourceKey,
+  templateKeyOf,
+} from "../lib/watch.js";
+
+const LONDON = "docx/london-summary/2026/feb/feb-13.docx";
+const LONDON_MD = "docx/london-summary/2026/feb/feb-6.md";
+const DUBAI = "docx/dubai-summary/2026/feb/feb-10.docx";
+const SOURCES = [LONDON, LONDON_MD, DUBAI];
+
+describe("ignored files", () => {
+  test("Word lock and temp files, .DS_Store", () => {
+    for (const file of [
+      "~$feb-13.docx",
+      "london-summary/2026/feb/~$feb-13.docx",
+      "~WRL0001.tmp",
+      "london-summary/2026/feb/~WRL3012.tmp",
+      ".DS_Store",
+      "london-summary/.DS_Store",
+    ]) {
+      assert.equal(isIgnored(file), true, file);
+    }
+  });
+
+  test("not the editions themselves", () => {
+    for (const file of ["feb-13.docx", "london-summary/2026/feb/feb-6.md"]) {
+      assert.equal(isIgnored(file), false, file);
+    }
+  });
+});
+
+describe("changes", () => {
+  test("a source change rebuilds that edition only", () => {
+    const key = sourceKey("london-summary/2026/feb/feb-13.docx");
+
+    assert.equal(key, LONDON);
+    assert.deepEqual(affectedSources([key], SOURCES), [LONDON]);
+  });
+
+  test("other files under docx/ are not sources", () => {
+    assert.equal(sourceKey("london-summary/2026/feb/notes.txt"), null);
+  });
+
+  test("a template change rebuilds every edition of that newsletter", () => {
+    const key = templateKeyOf("london-summary/layout.mjml");
+
+    assert.equal(key, "template:london-summary");
+    assert.deepEqual(affectedSources([key], SOURCES), [LONDON, LONDON_MD]);
+  });
+
+  test("a builder change rebuilds every watched edition", () => {
+    assert.deepEqual(affectedSources(["builder"], SOURCES), SOURCES);
+  });
+
+  test("changes for editions that are not watched rebuild nothing", () => {
+    const keys = [
+      "docx/london-summary/2026/mar/mar-6.docx",
+      "template:presidential-summary",
+    ];
+
+    assert.deepEqual(affectedSources(keys, SOURCES), []);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * validate.js
+ * Usage:
+ *   node validate.js "docx/london-summary/2026/feb/feb-13.docx"
+ *
+ * Checks the DOCX (or .md draft) against mjml-template/<newsletter>/config.json
+ * without building it (lib/validate.js) and prints one line per section.
+ *
+ * Exit codes:
+ *   0 -> no issues (notes about missing optional sections are fine)
+ *   1 -> blocking errors (or the DOCX could not be read)
+ *   2 -> warnings only
+ */
+
+import path from "path";
+import { inspect } from "util";
+import { listNewsletters } from "./lib/config.js";
+import { SECTION_TYPES } from "./lib/sections/index.js";
+import { validateDocx } from "./lib/validate.js";
+
+const DOCX_PATH = process.argv[2];
+if (!DOCX_PATH) {
+  console.error(
+    'Usage: node validate.js "docx/<newsletter>/YYYY/mon/file.docx"',
+  );
+  process.exit(1);
+}
+
+const newsletter = DOCX_PATH.split(path.sep).join("/").split("/")[1];
+const newsletters = listNewsletters();
+if (!newsletters.includes(newsletter)) {
+  console.error(
+    `No config found for "${newsletter}". Expected one of: ${newsletters.join(", ")}`,
+  );
+  process.exit(1);
+}
+
+validateDocx(DOCX_PATH)
+  .then(({ config, sections, issues }) => {
+    console.log(`🔎 ${config.name}: ${DOCX_PATH}`);
+
+    for (const { section, data } of sections) {
+      const own = issues.filter((i) => i.section === section.id);
+      const label = section.story || section.heading;
+      const icon = own.some((i) => i.level === "error")
+        ? "❌"
+        : own.some((i) => i.level === "warning")
+          ? "⚠️"
+          : own.length
+            ? "ℹ️"
+            : "✅";
+
+      const summary = SECTION_TYPES[section.type].describe(data);
+      console.log(
+        `${icon} ${label}:`,
+        typeof summary === "string"
+          ? summary
+          : inspect(summary, { breakLength: Infinity }),
+      );
+      for (const issue of own) console.log(`   - ${issue.message}`);
+    }
+
+    const other = issues.filter((i) => !i.section);
+    for (const issue of other) console.log(`⚠️ ${issue.message}`);
+
+    const errors = issues.filter((i) => i.level === "error").length;
+    const warnings = issues.filter((i) => i.level === "warning").length;
+    console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+
+    process.exit(errors ? 1 : warnings ? 2 : 0);
+  })
+  .catch((e) => {
+    console.error("❌ Validation failed:", e);
+    process.exit(1);
+  });